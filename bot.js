@@ -8,29 +8,193 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const { google } = require('googleapis');
-const readline = require('readline');
+const sharp = require('sharp');
+const { Readable } = require('stream');
+const http = require('http');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
 
 // Configuration
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
 const API_KEY = process.env.API_KEY || '1b899858fd185941';
+const API_BASE_URL = process.env.API_BASE_URL || 'https://api-dark-shan-yt.koyeb.app';
+// Optional second API with the same endpoints, used when the primary one fails
+const FALLBACK_API_URL = process.env.FALLBACK_API_URL || null;
+const FALLBACK_API_KEY = process.env.FALLBACK_API_KEY || API_KEY;
+const PROVIDER_TIMEOUT = 30 * 1000;
+const PROVIDER_RETRY_ATTEMPTS = 2; // per provider, before falling back
+const PROVIDER_RETRY_DELAY = 3 * 1000;
+// How long API responses are reused; download links are signed and expire quickly
+const API_CACHE_TTL = {
+  search: 15 * 60 * 1000,
+  info: 6 * 60 * 60 * 1000,
+  resolveDownload: 10 * 60 * 1000
+};
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'kalindu_gaweshana';
 
 // YouTube Configuration
 const YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
 const YOUTUBE_CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET;
 const YOUTUBE_REDIRECT_URI = process.env.YOUTUBE_REDIRECT_URI || 'http://127.0.0.1:3000';
+// force-ssl covers playlist management; tokens granted before it need /reauth
+const YOUTUBE_SCOPES = [
+  'https://www.googleapis.com/auth/youtube.upload',
+  'https://www.googleapis.com/auth/youtube.force-ssl'
+];
 
 // Data file paths
 const DATA_DIR = path.join(__dirname, 'data');
-const HISTORY_FILE = path.join(DATA_DIR, 'processed_movies.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'upload_history.json');
+const LEGACY_HISTORY_FILE = path.join(DATA_DIR, 'processed_movies.json');
 const ANALYTICS_FILE = path.join(DATA_DIR, 'analytics.json');
+const EVENTS_FILE = path.join(DATA_DIR, 'events.jsonl'); // append-only, one task event per line
+const QUEUE_FILE = path.join(DATA_DIR, 'queue.json');
+const DEAD_LETTER_FILE = path.join(DATA_DIR, 'dead_letter.json');
+const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
 const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const API_CACHE_DIR = path.join(CACHE_DIR, 'api');
 const TOKEN_PATH = path.join(DATA_DIR, 'youtube_token.json');
+const CHANNELS_FILE = path.join(DATA_DIR, 'channels.json');
+const WATCHLIST_FILE = path.join(DATA_DIR, 'watchlist.json');
+const PLAYLISTS_FILE = path.join(DATA_DIR, 'playlists.json');
+const CALLBACKS_FILE = path.join(DATA_DIR, 'callbacks.json');
+const AUTH_CODE_TIMEOUT = 10 * 60 * 1000; // 10 minutes to paste the OAuth code
 
 // Increase limits
 const MAX_VIDEO_SIZE = 4 * 1024 * 1024 * 1024; // 4GB
 const DOWNLOAD_TIMEOUT = 30 * 60 * 1000; // 30 minutes
-const UPLOAD_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB chunks for YouTube
+const UPLOAD_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB chunks for YouTube (must be a multiple of 256KB)
+const UPLOAD_CHUNK_TIMEOUT = 5 * 60 * 1000; // 5 minutes per chunk
+const UPLOAD_RETRY_ATTEMPTS = 6; // consecutive chunk failures before giving up
+const YOUTUBE_UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos';
+const THUMBNAIL_MAX_SIZE = 2 * 1024 * 1024; // YouTube custom thumbnail limit
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const MEDIA_MIN_SIZE_RATIO = 0.9; // of the size the API lists
+const MEDIA_MIN_DURATION_RATIO = 0.85; // of movieData.duration
+const SUBTITLE_LANGUAGE = process.env.SUBTITLE_LANGUAGE || 'si'; // CineSubz subtitles are Sinhala
+const SUBTITLE_MAX_SIZE = 5 * 1024 * 1024;
+const SUBTITLE_LANGUAGES = {
+  sinhala: 'si',
+  english: 'en',
+  tamil: 'ta',
+  hindi: 'hi',
+  korean: 'ko',
+  japanese: 'ja',
+  chinese: 'zh'
+};
+const NO_POSTER_URL = 'https://cinesubz.lk/wp-content/themes/zetaflix/assets/img/no/zt_backdrop.png';
+const MIN_FREE_DISK_SPACE = 500 * 1024 * 1024; // 500MB headroom after download
+const DOWNLOAD_RESUME_ATTEMPTS = 4; // 1 try + 3 resumes after network drops
+const CACHE_FILE_MAX_AGE = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+// Worker pool sizes - downloads and uploads run independently of each other
+const MAX_CONCURRENT_DOWNLOADS = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 1;
+const MAX_CONCURRENT_UPLOADS = parseInt(process.env.MAX_CONCURRENT_UPLOADS) || 1;
+const ACTIVE_STATUSES = ['downloading', 'uploading'];
+
+// Queue retry policy per stage (attempts include the first run)
+const RETRY_POLICY = {
+  fetch: { attempts: parseInt(process.env.RETRY_FETCH_ATTEMPTS) || 3, baseDelay: 10 * 1000 },
+  download: { attempts: parseInt(process.env.RETRY_DOWNLOAD_ATTEMPTS) || 3, baseDelay: 60 * 1000 },
+  upload: { attempts: parseInt(process.env.RETRY_UPLOAD_ATTEMPTS) || 3, baseDelay: 2 * 60 * 1000 }
+};
+const RETRY_MAX_DELAY = 30 * 60 * 1000; // 30 minutes
+const SOURCE_PRIORITY = ['gdrive', 'cloud', 'pix', 'telegram'];
+
+// YouTube metadata limits and categories
+const YOUTUBE_LIMITS = { title: 100, description: 5000, tags: 500 };
+const TEMPLATE_FIELDS = ['title', 'description', 'footer', 'tags', 'category', 'languages'];
+const PRIVACY_OPTIONS = {
+  public: '🌍 Public',
+  unlisted: '🔗 Unlisted',
+  private: '🔒 Private'
+};
+// Queue priorities, highest first - processQueue picks higher levels before queue order
+const PRIORITY_LEVELS = {
+  high: '🔴 High',
+  normal: '🟡 Normal',
+  low: '🟢 Low'
+};
+const MIN_SCHEDULE_LEAD = 15 * 60 * 1000; // YouTube needs publishAt comfortably in the future
+
+// Defaults for bot-wide settings (overridden by data/settings.json)
+const DEFAULT_SETTINGS = {
+  defaultPrivacy: PRIVACY_OPTIONS[process.env.DEFAULT_PRIVACY] ? process.env.DEFAULT_PRIVACY : 'public',
+  publishSlots: (process.env.PUBLISH_SLOTS || '18:00,20:00').split(',').map(slot => slot.trim()).filter(Boolean),
+  seasonPlaylists: process.env.SEASON_PLAYLISTS === 'true',
+  watch: {
+    interval: parseInt(process.env.WATCH_INTERVAL) || 60, // minutes
+    qualities: (process.env.WATCH_QUALITY || '1080p,720p').split(',').map(quality => quality.trim()).filter(Boolean),
+    source: process.env.WATCH_SOURCE || null, // null = SOURCE_PRIORITY order
+    mode: process.env.WATCH_MODE === 'auto' ? 'auto' : 'approve',
+    quietHours: process.env.WATCH_QUIET_HOURS || null // "23:00-07:00"
+  },
+  duplicates: {
+    allowUpgrade: process.env.DUPLICATE_ALLOW_UPGRADE === 'true' // re-upload when a higher quality shows up
+  },
+  alerts: {
+    digest: process.env.DIGEST_TIME === 'off' ? null : (process.env.DIGEST_TIME || '09:00'), // server time
+    muted: [], // alert types that are never sent
+    snoozedUntil: null // no alerts at all until this time
+  }
+};
+const CALLBACK_CONTEXT_TTL = 3 * 24 * 60 * 60 * 1000; // search & selection buttons stop working after this
+const CALLBACK_CONTEXT_LIMIT = 300; // oldest contexts dropped first
+const ALERT_TYPES = {
+  auth: 'YouTube Auth Expired',
+  quota: 'YouTube Quota',
+  source: 'Source Failing',
+  disk: 'Low Disk Space',
+  failure: 'Task Failed'
+};
+const ALERT_COOLDOWN = 60 * 60 * 1000; // same alert at most once an hour
+const SOURCE_ALERT_THRESHOLD = 3; // download failures on one source...
+const SOURCE_ALERT_WINDOW = 60 * 60 * 1000; // ...within this window
+const LOW_DISK_ALERT = (parseFloat(process.env.LOW_DISK_ALERT_GB) || 5) * 1024 * 1024 * 1024;
+const YOUTUBE_DAILY_QUOTA = parseInt(process.env.YOUTUBE_DAILY_QUOTA) || 10000; // API units per day
+// API units per call; failed calls are charged too, so calls are counted when made
+const YOUTUBE_QUOTA_COSTS = { videoInsert: 1600, thumbnail: 50, caption: 400, playlistInsert: 50, playlistItem: 50, list: 1 };
+const QUOTA_COST_PER_UPLOAD = YOUTUBE_QUOTA_COSTS.videoInsert + YOUTUBE_QUOTA_COSTS.thumbnail;
+const WATCH_SEEN_LIMIT = 2000; // remembered release links, oldest dropped first
+const WATCH_CARD_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // unanswered approve/skip cards
+const YOUTUBE_CATEGORIES = {
+  '1': 'Film & Animation',
+  '10': 'Music',
+  '17': 'Sports',
+  '19': 'Travel & Events',
+  '20': 'Gaming',
+  '22': 'People & Blogs',
+  '23': 'Comedy',
+  '24': 'Entertainment',
+  '25': 'News & Politics',
+  '26': 'Howto & Style',
+  '27': 'Education',
+  '28': 'Science & Technology'
+};
+
+const DEFAULT_TEMPLATES = {
+  defaultTemplate: 'english',
+  templates: {
+    english: {
+      languages: ['english'],
+      title: '{title}',
+      description: '{title}\n\n⭐ Rating: {rating}\n📅 Year: {year}\n⏱️ Duration: {duration}\n🗣️ Language: {tag}\n🎥 {directors}\n📀 Quality: {quality}\n\n{footer}\n\n#{cleanTag} #Movie #{cleanYear}',
+      footer: '',
+      tags: ['{tag}', 'Movie', '{year}', 'Cinema', 'Film'],
+      categoryId: '1'
+    },
+    sinhala: {
+      languages: ['sinhala'],
+      title: '{title} | සිංහල උපසිරැසි සමඟ',
+      description: '{title} - සිංහල උපසිරැසි සමඟ\n\n⭐ ශ්‍රේණිය: {rating}\n📅 වර්ෂය: {year}\n⏱️ කාලය: {duration}\n🗣️ භාෂාව: {tag}\n🎥 {directors}\n📀 ගුණාත්මකභාවය: {quality}\n\n{footer}\n\n#{cleanTag} #SinhalaSub #Movie #{cleanYear}',
+      footer: '',
+      tags: ['{tag}', 'Sinhala Subtitles', 'සිංහල උපසිරැසි', 'Movie', '{year}'],
+      categoryId: '1'
+    }
+  }
+};
 
 if (!TELEGRAM_TOKEN) {
   console.error('❌ Missing TELEGRAM_TOKEN!');
@@ -46,79 +210,236 @@ const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: true });
 
 let ADMIN_ID = null;
 const videoQueue = [];
-let processedMovies = new Set();
+let uploadHistory = [];
+let taskEvents = [];
 let analytics = {
   totalMovies: 0,
   successfulPosts: 0,
   failedPosts: 0,
-  totalSize: 0,
   duplicatesSkipped: 0,
+  channels: {},
+  apiCache: {},
   startTime: Date.now(),
   lastSaved: null
 };
 const userSessions = new Map();
 const activeDownloads = new Map();
-let currentProcessing = null;
-let youtubeAuth = null;
+const youtubeAuths = new Map();
+let pendingAuth = null;
+// The original single token file becomes the "main" channel
+let channelConfig = {
+  defaultChannel: 'main',
+  channels: { main: { tokenFile: path.basename(TOKEN_PATH), addedAt: null } },
+  routes: {}
+};
+let queueSaveChain = Promise.resolve();
+let deadLetters = [];
+let metadataTemplates = JSON.parse(JSON.stringify(DEFAULT_TEMPLATES));
+let botSettings = { ...DEFAULT_SETTINGS };
+let retryTimer = null;
+let watchlist = { watches: [], seen: [], pending: {} };
+let watchTimer = null;
+let digestTimer = null;
+const alertLastSent = new Map();
+let watchPolling = false;
+let playlistConfig = { rules: [], ids: {} };
+let callbackContexts = {};
+let callbackSaveChain = Promise.resolve();
 
 // ============================================
 // YOUTUBE AUTHENTICATION
 // ============================================
 
-async function getYouTubeAuth() {
+function getChannelTokenPath(channelName) {
+  const channel = channelConfig.channels[channelName];
+  return path.join(DATA_DIR, channel?.tokenFile || `youtube_token_${channelName}.json`);
+}
+
+// Without interactive, a missing token is an error instead of an auth prompt
+async function getYouTubeAuth(channelName = channelConfig.defaultChannel, interactive = true) {
   const oauth2Client = new google.auth.OAuth2(
     YOUTUBE_CLIENT_ID,
     YOUTUBE_CLIENT_SECRET,
     YOUTUBE_REDIRECT_URI
   );
+  const tokenPath = getChannelTokenPath(channelName);
+
+  watchTokenRefresh(oauth2Client, tokenPath, channelName);
 
   try {
-    const token = await fs.readFile(TOKEN_PATH, 'utf8');
+    const token = await fs.readFile(tokenPath, 'utf8');
     oauth2Client.setCredentials(JSON.parse(token));
-    console.log('✅ YouTube auth loaded from file');
+    console.log(`✅ YouTube auth loaded for channel "${channelName}"`);
     return oauth2Client;
   } catch (error) {
-    console.log('🔐 YouTube auth not found, need to authenticate...');
-    return await getNewYouTubeToken(oauth2Client);
+    if (!interactive) throw new Error(`No token for channel "${channelName}"`);
+    console.log(`🔐 YouTube auth not found for channel "${channelName}", need to authenticate...`);
+    return await getNewYouTubeToken(oauth2Client, tokenPath, channelName);
+  }
+}
+
+function getChannelAuth(channelName) {
+  const name = channelName || channelConfig.defaultChannel;
+  const auth = youtubeAuths.get(name);
+  if (!auth) {
+    throw new Error(`YouTube channel "${name}" not authenticated. Please run /reauth ${name}`);
+  }
+  return auth;
+}
+
+function pickChannel(movieData) {
+  const language = String(movieData.tag || '').toLowerCase();
+  const route = Object.keys(channelConfig.routes).find(lang => language.includes(lang));
+  const channel = route && channelConfig.routes[route];
+  return channel && channelConfig.channels[channel] ? channel : channelConfig.defaultChannel;
+}
+
+// Accepts a bare code or the whole redirected URL pasted from the browser
+function extractAuthCode(text) {
+  const trimmed = text.trim();
+  if (trimmed.includes('code=')) {
+    try {
+      return new URL(trimmed).searchParams.get('code');
+    } catch {
+      const match = trimmed.match(/code=([^&\s]+)/);
+      return match ? decodeURIComponent(match[1]) : null;
+    }
+  }
+  return trimmed || null;
+}
+
+const tokenSaveChains = new Map();
+
+// Writes to one token file run in turn, so a refresh can't read the file before
+// a re-auth writes it and then put the old tokens back. update gets the file's
+// current tokens and returns the new ones, or null to leave the file alone.
+function saveTokenFile(tokenPath, update) {
+  const save = (tokenSaveChains.get(tokenPath) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      const current = await fs.readFile(tokenPath, 'utf8').then(JSON.parse).catch(() => ({}));
+      const tokens = update(current);
+      if (!tokens) return false;
+      await writeFileAtomic(tokenPath, JSON.stringify(tokens, null, 2));
+      return true;
+    });
+  tokenSaveChains.set(tokenPath, save);
+  return save;
+}
+
+// Persist refreshed access tokens; Google only sends refresh_token once, so merge
+function watchTokenRefresh(oauth2Client, tokenPath, channelName) {
+  oauth2Client.on('tokens', async (tokens) => {
+    try {
+      const saved = await saveTokenFile(tokenPath, (current) => {
+        // A client replaced by a re-auth can still refresh; its tokens are stale by now
+        const clientToken = oauth2Client.credentials.refresh_token;
+        if (!tokens.refresh_token && current.refresh_token && clientToken && current.refresh_token !== clientToken) return null;
+        return { ...current, ...tokens };
+      });
+      if (saved) console.log(`🔄 YouTube token refreshed for channel "${channelName}"`);
+    } catch (error) {
+      console.error('❌ Error saving refreshed token:', error.message);
+    }
+  });
+}
+
+// Listens on YOUTUBE_REDIRECT_URI when it points at this machine, so the
+// browser redirect can complete the flow by itself (e.g. through an SSH tunnel)
+function startAuthCallbackServer(onCode) {
+  let redirect;
+  try {
+    redirect = new URL(YOUTUBE_REDIRECT_URI);
+  } catch {
+    return null;
   }
+  if (!['127.0.0.1', 'localhost'].includes(redirect.hostname)) return null;
+  
+  const server = http.createServer((req, res) => {
+    const params = new URL(req.url, YOUTUBE_REDIRECT_URI).searchParams;
+    const code = params.get('code');
+    
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    if (code) {
+      res.end('✅ Authorization received. You can close this tab and return to Telegram.');
+      onCode(code);
+    } else {
+      res.end(`❌ No authorization code received${params.get('error') ? `: ${params.get('error')}` : ''}`);
+    }
+  });
+  
+  server.on('error', (error) => console.error('⚠️ OAuth callback listener unavailable:', error.message));
+  server.listen(parseInt(redirect.port) || 80, redirect.hostname);
+  return server;
 }
 
-async function getNewYouTubeToken(oauth2Client) {
+async function getNewYouTubeToken(oauth2Client, tokenPath = TOKEN_PATH, channelName = channelConfig.defaultChannel) {
+  if (pendingAuth) {
+    throw new Error(`Authentication for channel "${pendingAuth.channelName}" is already waiting for a code`);
+  }
+
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: ['https://www.googleapis.com/auth/youtube.upload']
+    prompt: 'consent',
+    scope: YOUTUBE_SCOPES
   });
 
   console.log('\n========================================');
-  console.log('🔐 YOUTUBE AUTHENTICATION REQUIRED');
+  console.log(`🔐 YOUTUBE AUTHENTICATION REQUIRED (${channelName})`);
   console.log('========================================\n');
-  console.log('1. Open this URL in your browser:');
+  console.log('Open this URL, authorize, then send the code (or the redirected URL) to the bot in Telegram:');
   console.log('\n' + authUrl + '\n');
-  console.log('2. Authorize the application');
-  console.log('3. Copy the code and paste it here\n');
-
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
 
   return new Promise((resolve, reject) => {
-    rl.question('Enter the authorization code: ', async (code) => {
-      rl.close();
+    const finish = (error) => {
+      clearTimeout(pendingAuth.timer);
+      if (pendingAuth.server) pendingAuth.server.close();
+      pendingAuth = null;
+      if (error) reject(error);
+      else resolve(oauth2Client);
+    };
+    
+    const submit = async (code) => {
+      if (!code || !pendingAuth || pendingAuth.exchanging) return;
+      pendingAuth.exchanging = true;
       
       try {
         const { tokens } = await oauth2Client.getToken(code);
         oauth2Client.setCredentials(tokens);
         
-        await fs.writeFile(TOKEN_PATH, JSON.stringify(tokens, null, 2));
+        await saveTokenFile(tokenPath, () => tokens);
         console.log('✅ YouTube token saved successfully!');
         
-        resolve(oauth2Client);
+        finish(null);
       } catch (error) {
+        // A bad paste should not end the flow; wait for another code
+        if (pendingAuth) pendingAuth.exchanging = false;
         console.error('❌ Error getting YouTube token:', error.message);
-        reject(error);
+        if (ADMIN_ID) {
+          bot.sendMessage(ADMIN_ID, `❌ That code did not work (${error.message}). Send the code or redirected URL again.`).catch(() => {});
+        }
       }
-    });
+    };
+    
+    pendingAuth = {
+      channelName: channelName,
+      submit: submit,
+      exchanging: false,
+      server: startAuthCallbackServer(submit),
+      timer: setTimeout(() => finish(new Error('Authentication timed out')), AUTH_CODE_TIMEOUT)
+    };
+    
+    if (ADMIN_ID) {
+      bot.sendMessage(ADMIN_ID,
+        `🔐 YouTube authentication needed for channel "${channelName}"\n\n` +
+        `1. Open this URL and authorize:\n${authUrl}\n\n` +
+        `2. Send me the code, or paste the full URL your browser was redirected to (${YOUTUBE_REDIRECT_URI}...)\n\n` +
+        `⏳ Waiting ${AUTH_CODE_TIMEOUT / 60000} minutes`,
+        { disable_web_page_preview: true }
+      ).catch(error => console.error('❌ Error sending auth URL:', error.message));
+    } else {
+      console.log(`⚠️ Admin chat unknown yet - send /start to the bot as @${ADMIN_USERNAME}, then paste the code there`);
+    }
   });
 }
 
@@ -130,34 +451,96 @@ async function ensureDataDirectory() {
   try {
     await fs.mkdir(DATA_DIR, { recursive: true });
     await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.mkdir(API_CACHE_DIR, { recursive: true });
     console.log('📁 Data directory ready');
   } catch (error) {
     console.error('❌ Failed to create data directory:', error.message);
   }
 }
 
-async function loadProcessedMovies() {
+// Writes <file>.tmp and renames it over the file, so a crash mid-write keeps the
+// previous version. Writes to the same file share the .tmp path and run in turn.
+const atomicWriteChains = new Map();
+
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  const write = (atomicWriteChains.get(filePath) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      await fs.writeFile(tmpPath, content);
+      await fs.rename(tmpPath, filePath);
+    });
+  atomicWriteChains.set(filePath, write);
+  // Sidecar files come and go with tasks, so settled chains aren't kept around
+  const forget = () => { if (atomicWriteChains.get(filePath) === write) atomicWriteChains.delete(filePath); };
+  write.then(forget, forget);
+  return write;
+}
+
+async function loadUploadHistory() {
   try {
     const data = await fs.readFile(HISTORY_FILE, 'utf8');
     const parsed = JSON.parse(data);
-    processedMovies = new Set(parsed.movies || []);
-    console.log(`📂 Loaded ${processedMovies.size} movies`);
+    uploadHistory = parsed.entries || [];
+    console.log(`📂 Loaded ${uploadHistory.length} history entries`);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      await migrateProcessedMovies();
+    } else {
+      console.error('❌ Error loading history:', error.message);
+    }
+  }
+}
+
+// processed_movies.json only kept page URLs; they become "migrated" entries
+// so duplicate detection keeps working. The old file is left in place.
+async function migrateProcessedMovies() {
+  try {
+    const data = await fs.readFile(LEGACY_HISTORY_FILE, 'utf8');
+    const movies = JSON.parse(data).movies || [];
+    const migratedAt = Date.now();
+    
+    uploadHistory = movies.map((movieUrl, i) => ({
+      id: `migrated-${i + 1}`,
+      movieUrl: movieUrl,
+      title: null,
+      year: null,
+      quality: null,
+      size: null,
+      source: null,
+      fileSizeMB: null,
+      videoId: null,
+      channel: null,
+      privacy: null,
+      publishAt: null,
+      status: 'migrated',
+      error: null,
+      queuedAt: null,
+      startedAt: null,
+      finishedAt: null,
+      migratedAt: migratedAt
+    })).reverse();
+    
+    await saveUploadHistory();
+    console.log(`📂 Migrated ${uploadHistory.length} movies from ${path.basename(LEGACY_HISTORY_FILE)}`);
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.log('📂 Starting fresh');
-      processedMovies = new Set();
+    } else {
+      console.error('❌ Error migrating history:', error.message);
     }
+    uploadHistory = [];
   }
 }
 
-async function saveProcessedMovies() {
+async function saveUploadHistory() {
   try {
     const data = {
-      movies: Array.from(processedMovies),
+      entries: uploadHistory,
       lastUpdated: new Date().toISOString(),
-      count: processedMovies.size
+      count: uploadHistory.length
     };
-    await fs.writeFile(HISTORY_FILE, JSON.stringify(data, null, 2));
+    await writeFileAtomic(HISTORY_FILE, JSON.stringify(data, null, 2));
   } catch (error) {
     console.error('❌ Error saving history:', error.message);
   }
@@ -179,128 +562,1134 @@ async function loadAnalytics() {
 async function saveAnalytics() {
   try {
     analytics.lastSaved = new Date().toISOString();
-    await fs.writeFile(ANALYTICS_FILE, JSON.stringify(analytics, null, 2));
+    await writeFileAtomic(ANALYTICS_FILE, JSON.stringify(analytics, null, 2));
   } catch (error) {
     console.error('❌ Error saving analytics:', error.message);
   }
 }
 
-setInterval(async () => {
-  await saveProcessedMovies();
-  await saveAnalytics();
-}, 5 * 60 * 1000);
-
-// ============================================
-// PROGRESS BAR & HELPERS
-// ============================================
+async function loadTaskEvents() {
+  try {
+    const data = await fs.readFile(EVENTS_FILE, 'utf8');
+    let skipped = 0;
+    
+    taskEvents = data.split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // A crash mid-append can leave a partial last line
+        skipped++;
+        return null;
+      }
+    }).filter(Boolean);
+    
+    console.log(`📈 Loaded ${taskEvents.length} task events${skipped ? ` (${skipped} unreadable lines skipped)` : ''}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Error loading task events:', error.message);
+    }
+  }
+}
 
-function getProgressBar(percent) {
-  const filled = Math.floor(percent / 10);
-  const empty = 10 - filled;
-  return '█'.repeat(filled) + '░'.repeat(empty);
+async function appendTaskEvent(event) {
+  try {
+    await fs.appendFile(EVENTS_FILE, JSON.stringify(event) + '\n');
+  } catch (error) {
+    console.error('❌ Error saving task event:', error.message);
+  }
 }
 
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+async function getFreeDiskSpace(dir) {
+  // fs.statfs is only available on Node 18.15+
+  if (typeof fs.statfs !== 'function') return null;
+  try {
+    const stats = await fs.statfs(dir);
+    return stats.bavail * stats.bsize;
+  } catch (error) {
+    console.error('❌ Error checking disk space:', error.message);
+    return null;
+  }
 }
 
-function formatSpeed(bytesPerSecond) {
-  return formatBytes(bytesPerSecond) + '/s';
+async function ensureDiskSpace(requiredBytes) {
+  const freeBytes = await getFreeDiskSpace(CACHE_DIR);
+  if (freeBytes === null || !requiredBytes) return;
+  
+  if (freeBytes < requiredBytes + MIN_FREE_DISK_SPACE) {
+    sendAdminAlert('disk', 'download', `💾 A download needs ${formatBytes(requiredBytes)} but only ${formatBytes(freeBytes)} is free`);
+    throw new Error(`Not enough disk space: need ${formatBytes(requiredBytes)}, only ${formatBytes(freeBytes)} free`);
+  }
 }
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
+// Writes are chained so overlapping saves never interleave on disk
+function saveQueue() {
+  queueSaveChain = queueSaveChain.then(async () => {
+    try {
+      const data = {
+        items: videoQueue,
+        lastUpdated: new Date().toISOString(),
+        count: videoQueue.length
+      };
+      await writeFileAtomic(QUEUE_FILE, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('❌ Error saving queue:', error.message);
+    }
+  });
+  return queueSaveChain;
+}
 
-function isAdmin(msg) {
-  if (ADMIN_ID && msg.from.id === ADMIN_ID) return true;
-  if (msg.from.username === ADMIN_USERNAME) {
-    ADMIN_ID = msg.from.id;
-    return true;
+async function loadQueue() {
+  const restored = [];
+  
+  try {
+    const data = await fs.readFile(QUEUE_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+    
+    for (const item of parsed.items || []) {
+      if (item.cancelled || item.status === 'completed' || item.status === 'failed') continue;
+      
+      // Whatever was running when we went down goes back in line.
+      // Interrupted uploads keep their finished download and wait for an upload slot.
+      const wasProcessing = ['processing', ...ACTIVE_STATUSES].includes(item.status);
+      if (wasProcessing) {
+        item.status = item.status === 'uploading' ? 'ready' : 'pending';
+      }
+      
+      videoQueue.push(item);
+      restored.push({ item, wasProcessing });
+    }
+    
+    console.log(`📋 Restored ${restored.length} queue items`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Error loading queue:', error.message);
+    }
   }
-  return false;
+  
+  return restored;
 }
 
-function getUserSession(userId) {
-  if (!userSessions.has(userId)) {
-    userSessions.set(userId, {
-      searchResults: [],
-      selectedMovie: null,
-      movieData: null
-    });
+async function loadDeadLetters() {
+  try {
+    const data = await fs.readFile(DEAD_LETTER_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+    deadLetters = parsed.items || [];
+    console.log(`🪦 Loaded ${deadLetters.length} failed items`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Error loading failed items:', error.message);
+    }
   }
-  return userSessions.get(userId);
 }
 
-function isAlreadyProcessed(movieUrl) {
-  return processedMovies.has(movieUrl);
+async function saveDeadLetters() {
+  try {
+    const data = {
+      items: deadLetters,
+      lastUpdated: new Date().toISOString(),
+      count: deadLetters.length
+    };
+    await writeFileAtomic(DEAD_LETTER_FILE, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving failed items:', error.message);
+  }
 }
 
-function isInQueue(movieUrl) {
-  return videoQueue.some(item => item.movieUrl === movieUrl);
+async function loadTemplates() {
+  try {
+    const data = await fs.readFile(TEMPLATES_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+    metadataTemplates = {
+      defaultTemplate: parsed.defaultTemplate || DEFAULT_TEMPLATES.defaultTemplate,
+      templates: parsed.templates || {}
+    };
+    
+    // A hand-edited file can name a default that doesn't exist
+    if (!metadataTemplates.templates[metadataTemplates.defaultTemplate]) {
+      if (Object.keys(metadataTemplates.templates).length === 0) {
+        metadataTemplates.templates = JSON.parse(JSON.stringify(DEFAULT_TEMPLATES.templates));
+      }
+      const fallback = metadataTemplates.templates[DEFAULT_TEMPLATES.defaultTemplate]
+        ? DEFAULT_TEMPLATES.defaultTemplate
+        : Object.keys(metadataTemplates.templates)[0];
+      console.log(`⚠️ Default template "${metadataTemplates.defaultTemplate}" not found, using "${fallback}"`);
+      metadataTemplates.defaultTemplate = fallback;
+    }
+    console.log(`📝 Loaded ${Object.keys(metadataTemplates.templates).length} metadata templates`);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      await saveTemplates();
+    } else {
+      console.error('❌ Error loading templates:', error.message);
+    }
+  }
 }
 
-// ============================================
-// KEYBOARDS
-// ============================================
+async function saveTemplates() {
+  try {
+    const data = { ...metadataTemplates, lastUpdated: new Date().toISOString() };
+    await writeFileAtomic(TEMPLATES_FILE, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving templates:', error.message);
+  }
+}
 
-const keyboards = {
-  main: () => ({
-    inline_keyboard: [
-      [{ text: '🔍 Search Movie', callback_data: 'search_movie' }, { text: '📋 Queue', callback_data: 'view_queue' }],
-      [{ text: '📊 Analytics', callback_data: 'analytics' }, { text: '❓ Help', callback_data: 'help' }]
-    ]
-  }),
-  
-  queueItem: (index) => ({
-    inline_keyboard: [
-      [{ text: '❌ Remove', callback_data: `queue_remove_${index}` }],
-      [{ text: '🔙 Back', callback_data: 'view_queue' }]
-    ]
-  }),
+async function loadSettings() {
+  try {
+    const data = await fs.readFile(SETTINGS_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+    botSettings = {
+      ...DEFAULT_SETTINGS,
+      ...parsed,
+      watch: { ...DEFAULT_SETTINGS.watch, ...parsed.watch },
+      duplicates: { ...DEFAULT_SETTINGS.duplicates, ...parsed.duplicates },
+      alerts: { ...DEFAULT_SETTINGS.alerts, ...parsed.alerts }
+    };
+    if (botSettings.adminId) ADMIN_ID = botSettings.adminId;
+    console.log('⚙️ Settings loaded');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Error loading settings:', error.message);
+    }
+  }
+}
 
-  cancelResume: (taskId) => ({
-    inline_keyboard: [
-      [{ text: '⏸️ Pause', callback_data: `pause_${taskId}` }, { text: '❌ Cancel', callback_data: `cancel_${taskId}` }]
-    ]
-  }),
+async function saveSettings() {
+  try {
+    const data = { ...botSettings, lastUpdated: new Date().toISOString() };
+    await writeFileAtomic(SETTINGS_FILE, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving settings:', error.message);
+  }
+}
 
-  resumeTask: (taskId) => ({
-    inline_keyboard: [
-      [{ text: '▶️ Resume', callback_data: `resume_${taskId}` }, { text: '❌ Cancel', callback_data: `cancel_${taskId}` }]
-    ]
-  }),
+async function loadWatchlist() {
+  try {
+    const data = await fs.readFile(WATCHLIST_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+    watchlist = {
+      watches: parsed.watches || [],
+      seen: parsed.seen || [],
+      pending: parsed.pending || {}
+    };
+    console.log(`👀 Loaded ${watchlist.watches.length} watchlist queries`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Error loading watchlist:', error.message);
+    }
+  }
+}
 
-  alreadyProcessed: (movieUrl) => ({
-    inline_keyboard: [
-      [{ text: '✅ Yes, Repost', callback_data: `repost_confirm_${Buffer.from(movieUrl).toString('base64').substring(0, 50)}` }],
-      [{ text: '❌ No, Cancel', callback_data: 'main_menu' }]
-    ]
-  })
-};
+async function saveWatchlist() {
+  try {
+    const data = { ...watchlist, lastUpdated: new Date().toISOString(), count: watchlist.watches.length };
+    await writeFileAtomic(WATCHLIST_FILE, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving watchlist:', error.message);
+  }
+}
 
-// ============================================
-// COMMANDS
-// ============================================
+async function loadPlaylists() {
+  try {
+    const data = await fs.readFile(PLAYLISTS_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+    playlistConfig = { rules: parsed.rules || [], ids: parsed.ids || {} };
+    console.log(`📚 Loaded ${playlistConfig.rules.length} playlist rules`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Error loading playlists:', error.message);
+    }
+  }
+}
 
-bot.onText(/\/start/, (msg) => {
-  if (!isAdmin(msg)) {
-    return bot.sendMessage(msg.chat.id, '❌ Admin Only\n🔐 @' + ADMIN_USERNAME);
+async function savePlaylists() {
+  try {
+    const data = { ...playlistConfig, lastUpdated: new Date().toISOString(), count: playlistConfig.rules.length };
+    await writeFileAtomic(PLAYLISTS_FILE, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving playlists:', error.message);
   }
+}
 
-  bot.sendMessage(msg.chat.id, `
-👋 *Welcome ${msg.from.first_name}!*
+async function loadCallbackContexts() {
+  try {
+    const data = await fs.readFile(CALLBACKS_FILE, 'utf8');
+    callbackContexts = JSON.parse(data).contexts || {};
+    pruneCallbackContexts();
+    console.log(`🔘 Loaded ${Object.keys(callbackContexts).length} button contexts`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Error loading button contexts:', error.message);
+    }
+  }
+}
 
-🤖 *CineSubz Movie Bot - ULTIMATE*
+// Chained like saveQueue - contexts are registered in bursts while browsing
+function saveCallbackContexts() {
+  callbackSaveChain = callbackSaveChain.then(async () => {
+    try {
+      const data = {
+        contexts: callbackContexts,
+        lastUpdated: new Date().toISOString(),
+        count: Object.keys(callbackContexts).length
+      };
+      // Rewritten whenever a new selection is shown, so it's kept compact
+      await writeFileAtomic(CALLBACKS_FILE, JSON.stringify(data));
+    } catch (error) {
+      console.error('❌ Error saving button contexts:', error.message);
+    }
+  });
+  return callbackSaveChain;
+}
 
-✅ Search movies from CineSubz
-✅ Multiple quality options
-✅ Auto upload to YouTube 📺
-✅ Chunked upload (unlimited size) 🚀
+async function loadChannels() {
+  try {
+    const data = await fs.readFile(CHANNELS_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+    channelConfig = {
+      defaultChannel: parsed.defaultChannel || channelConfig.defaultChannel,
+      channels: parsed.channels || channelConfig.channels,
+      routes: parsed.routes || {}
+    };
+    console.log(`📺 Loaded ${Object.keys(channelConfig.channels).length} YouTube channels`);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      await saveChannels();
+    } else {
+      console.error('❌ Error loading channels:', error.message);
+    }
+  }
+}
+
+async function saveChannels() {
+  try {
+    const data = { ...channelConfig, lastUpdated: new Date().toISOString() };
+    await writeFileAtomic(CHANNELS_FILE, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving channels:', error.message);
+  }
+}
+
+// Partial downloads live next to the target file: <file>.part + <file>.part.json sidecar
+function getPartialPaths(filePath) {
+  return {
+    partPath: `${filePath}.part`,
+    metaPath: `${filePath}.part.json`
+  };
+}
+
+async function loadPartialDownload(filePath) {
+  const { partPath, metaPath } = getPartialPaths(filePath);
+  try {
+    const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    const stats = await fs.stat(partPath);
+    // Trust the bytes actually on disk over the last recorded count
+    return { ...meta, bytesReceived: stats.size };
+  } catch (error) {
+    return null;
+  }
+}
+
+async function savePartialDownload(filePath, state) {
+  const { metaPath } = getPartialPaths(filePath);
+  try {
+    const data = {
+      url: state.url,
+      etag: state.etag,
+      totalBytes: state.totalBytes,
+      bytesReceived: state.bytesReceived,
+      updatedAt: new Date().toISOString()
+    };
+    await writeFileAtomic(metaPath, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving download state:', error.message);
+  }
+}
+
+async function removePartialDownload(filePath) {
+  const { partPath, metaPath } = getPartialPaths(filePath);
+  await fs.unlink(partPath).catch(() => {});
+  await fs.unlink(metaPath).catch(() => {});
+}
+
+// Upload session for a cached file: <file>.upload.json holds the session URI and offset
+function getUploadSessionPath(filePath) {
+  return `${filePath}.upload.json`;
+}
+
+async function loadUploadSession(filePath) {
+  try {
+    const data = await fs.readFile(getUploadSessionPath(filePath), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function saveUploadSession(filePath, session) {
+  try {
+    const data = { ...session, updatedAt: new Date().toISOString() };
+    await writeFileAtomic(getUploadSessionPath(filePath), JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving upload session:', error.message);
+  }
+}
+
+async function removeUploadSession(filePath) {
+  await fs.unlink(getUploadSessionPath(filePath)).catch(() => {});
+}
+
+// Drop a cached video together with its partial download and upload session
+async function removeCachedVideo(filePath) {
+  await fs.unlink(filePath).catch(() => {});
+  await removePartialDownload(filePath);
+  await removeUploadSession(filePath);
+}
+
+async function cleanupStaleCache() {
+  try {
+    const files = await fs.readdir(CACHE_DIR);
+    const queuedTasks = new Set(videoQueue.map(item => item.taskId));
+    let removed = 0;
+    
+    for (const file of files) {
+      // Files of queued items are still needed to resume them
+      if (queuedTasks.has(file.split('.')[0])) continue;
+      
+      const cacheFile = path.join(CACHE_DIR, file);
+      const stats = await fs.stat(cacheFile);
+      if (!stats.isFile()) continue;
+      if (Date.now() - stats.mtimeMs > CACHE_FILE_MAX_AGE) {
+        await fs.unlink(cacheFile).catch(() => {});
+        removed++;
+      }
+    }
+    
+    if (removed > 0) console.log(`🧹 Removed ${removed} stale cache files`);
+  } catch (error) {
+    console.error('❌ Error cleaning cache:', error.message);
+  }
+}
+
+// API responses: one <method>-<sha1>.json file per search query or page URL
+function getApiCachePath(method, arg) {
+  const hash = crypto.createHash('sha1').update(`${method}:${arg}`).digest('hex');
+  return path.join(API_CACHE_DIR, `${method}-${hash}.json`);
+}
+
+async function readApiCache(method, arg) {
+  try {
+    const entry = JSON.parse(await fs.readFile(getApiCachePath(method, arg), 'utf8'));
+    return entry.expiresAt > Date.now() ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeApiCache(method, arg, data) {
+  try {
+    const entry = { method, key: arg, storedAt: Date.now(), expiresAt: Date.now() + API_CACHE_TTL[method], data };
+    await fs.writeFile(getApiCachePath(method, arg), JSON.stringify(entry));
+  } catch (error) {
+    console.error('❌ Error writing API cache:', error.message);
+  }
+}
+
+// Removes expired entries, or every entry with all = true
+async function pruneApiCache(all = false) {
+  let removed = 0;
+  
+  try {
+    for (const file of await fs.readdir(API_CACHE_DIR)) {
+      const cacheFile = path.join(API_CACHE_DIR, file);
+      if (!all) {
+        const entry = JSON.parse(await fs.readFile(cacheFile, 'utf8').catch(() => '{}'));
+        if (entry.expiresAt > Date.now()) continue;
+      }
+      await fs.unlink(cacheFile).catch(() => {});
+      removed++;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('❌ Error pruning API cache:', error.message);
+  }
+  
+  return removed;
+}
+
+async function getApiCacheSummary() {
+  const summary = { entries: 0, bytes: 0 };
+  const files = await fs.readdir(API_CACHE_DIR).catch(() => []);
+  
+  for (const file of files) {
+    const stats = await fs.stat(path.join(API_CACHE_DIR, file)).catch(() => null);
+    if (!stats) continue;
+    summary.entries++;
+    summary.bytes += stats.size;
+  }
+  return summary;
+}
+
+setInterval(async () => {
+  await saveUploadHistory();
+  await saveAnalytics();
+  await saveQueue();
+  await cleanupStaleCache();
+  await pruneApiCache();
+  await checkDiskSpace();
+}, 5 * 60 * 1000);
+
+// ============================================
+// PROGRESS BAR & HELPERS
+// ============================================
+
+function getProgressBar(percent) {
+  const filled = Math.floor(percent / 10);
+  const empty = 10 - filled;
+  return '█'.repeat(filled) + '░'.repeat(empty);
+}
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
+
+function formatSpeed(bytesPerSecond) {
+  return formatBytes(bytesPerSecond) + '/s';
+}
+
+// Parse API sizes like "1.2 GB" or "850 MB" into bytes
+function parseSize(sizeText) {
+  const match = String(sizeText || '').match(/([\d.]+)\s*(B|KB|MB|GB|TB)/i);
+  if (!match) return 0;
+  const units = { B: 0, KB: 1, MB: 2, GB: 3, TB: 4 };
+  return Math.round(parseFloat(match[1]) * Math.pow(1024, units[match[2].toUpperCase()]));
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function isAdmin(msg) {
+  if (ADMIN_ID && msg.from.id === ADMIN_ID) return true;
+  if (msg.from.username === ADMIN_USERNAME) {
+    ADMIN_ID = msg.from.id;
+    // Remembered so the bot can reach the admin after a restart (e.g. for auth)
+    if (botSettings.adminId !== ADMIN_ID) {
+      botSettings.adminId = ADMIN_ID;
+      saveSettings();
+    }
+    return true;
+  }
+  return false;
+}
+
+function getUserSession(userId) {
+  if (!userSessions.has(userId)) {
+    userSessions.set(userId, {
+      searchResults: [],
+      selectedMovie: null,
+      movieData: null
+    });
+  }
+  return userSessions.get(userId);
+}
+
+function isAlreadyProcessed(movieUrl) {
+  return !!findPostedEntry(movieUrl);
+}
+
+function isInQueue(movieUrl) {
+  return videoQueue.some(item => item.movieUrl === movieUrl);
+}
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_STREAM_PREMATURE_CLOSE', 'EINCOMPLETE'];
+
+function isNetworkError(error) {
+  if (NETWORK_ERROR_CODES.includes(error.code)) return true;
+  if (error.message === 'aborted') return true;
+  return error.response ? error.response.status >= 500 : false;
+}
+
+function sortSources(sources) {
+  const rank = (name) => {
+    const index = SOURCE_PRIORITY.indexOf(name);
+    return index === -1 ? SOURCE_PRIORITY.length : index;
+  };
+  return [...sources].sort((a, b) => rank(a.name) - rank(b.name));
+}
+
+function getRetryDelay(stage, attempt) {
+  return Math.min(RETRY_POLICY[stage].baseDelay * Math.pow(2, attempt - 1), RETRY_MAX_DELAY);
+}
+
+// Next occurrence of an "HH:MM" slot that is far enough ahead to schedule
+function getNextSlotTime(slot) {
+  const [hours, minutes] = slot.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours, minutes || 0, 0, 0);
+  if (date.getTime() < Date.now() + MIN_SCHEDULE_LEAD) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+// For error messages and titles dropped into Markdown messages
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+function formatPublishing(privacy, publishAt) {
+  if (publishAt) return `📅 Scheduled: ${new Date(publishAt).toLocaleString()}`;
+  return `🔐 Privacy: ${PRIVACY_OPTIONS[privacy] || privacy}`;
+}
+
+function recordChannelStat(channelName, field, amount = 1) {
+  const name = channelName || channelConfig.defaultChannel;
+  analytics.channels = analytics.channels || {};
+  if (!analytics.channels[name]) {
+    analytics.channels[name] = { uploads: 0, failed: 0, totalSize: 0 };
+  }
+  analytics.channels[name][field] += amount;
+}
+
+// Quiet hours are "HH:MM-HH:MM" in server time and may wrap past midnight
+function isQuietTime(range, now = new Date()) {
+  const match = String(range || '').match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) return false;
+  
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const start = parseInt(match[1]) * 60 + parseInt(match[2]);
+  const end = parseInt(match[3]) * 60 + parseInt(match[4]);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function formatDuration(ms) {
+  const totalSec = Math.round(ms / 1000);
+  if (totalSec < 60) return `${totalSec}s`;
+  const min = Math.floor(totalSec / 60);
+  if (min < 60) return `${min}m ${totalSec % 60}s`;
+  return `${Math.floor(min / 60)}h ${min % 60}m`;
+}
+
+// ============================================
+// SOURCE PROVIDERS
+// ============================================
+
+// A provider answers three questions about CineSubz pages: search, movie info
+// and the download links behind a quality page. Every provider returns the
+// API's data shapes, which are validated before anything else sees them.
+function createCineSubzApiProvider(name, baseUrl, apiKey) {
+  const request = async (endpoint, params) => {
+    const response = await axios.get(`${baseUrl.replace(/\/+$/, '')}/movie/${endpoint}`, {
+      params: { ...params, apikey: apiKey },
+      timeout: PROVIDER_TIMEOUT
+    });
+    // status: false is the API's "nothing found", not an outage
+    return response.data?.status ? response.data.data : null;
+  };
+  
+  return {
+    name,
+    search: (query) => request('cinesubz-search', { q: query }),
+    info: (pageUrl) => request('cinesubz-info', { url: pageUrl }),
+    resolveDownload: (pageLink) => request('cinesubz-download', { url: pageLink })
+  };
+}
+
+const PROVIDERS = [
+  createCineSubzApiProvider('primary', API_BASE_URL, API_KEY),
+  ...(FALLBACK_API_URL ? [createCineSubzApiProvider('fallback', FALLBACK_API_URL, FALLBACK_API_KEY)] : [])
+];
+
+// Each schema returns a problem description, or null when the data is usable
+const PROVIDER_SCHEMAS = {
+  search: (data) => {
+    if (data === null) return null;
+    if (!Array.isArray(data)) return 'search results are not a list';
+    return data.every(movie => movie && typeof movie.title === 'string' && typeof movie.link === 'string')
+      ? null : 'search result without title or link';
+  },
+  info: (data) => {
+    if (!data) return 'movie not found';
+    if (typeof data.title !== 'string') return 'movie info without title';
+    if (Array.isArray(data.downloads)) {
+      return data.downloads.every(download => download && download.quality && typeof download.link === 'string')
+        ? null : 'download entry without quality or link';
+    }
+    return Array.isArray(data.seasons) || Array.isArray(data.episodes) ? null : 'movie info without downloads';
+  },
+  resolveDownload: (data) => {
+    if (!data) return 'download links not found';
+    if (!Array.isArray(data.download)) return 'download links are not a list';
+    return data.download.every(src => src && typeof src.name === 'string' && typeof src.url === 'string')
+      ? null : 'download source without name or url';
+  }
+};
+
+// Timeouts and server errors are retried on the same provider, everything
+// else (bad data, not found) moves straight on to the next one
+function isRetryableProviderError(error) {
+  const status = error.response?.status;
+  return isNetworkError(error) || status === 429 || status >= 500;
+}
+
+function getApiCacheStats() {
+  const totals = Object.values(analytics.apiCache || {}).reduce(
+    (sum, stats) => ({ hits: sum.hits + stats.hits, misses: sum.misses + stats.misses }),
+    { hits: 0, misses: 0 }
+  );
+  const lookups = totals.hits + totals.misses;
+  return { ...totals, rate: lookups > 0 ? ((totals.hits / lookups) * 100).toFixed(1) : 0 };
+}
+
+function recordApiCacheStat(method, hit) {
+  analytics.apiCache = analytics.apiCache || {};
+  const stats = analytics.apiCache[method] = analytics.apiCache[method] || { hits: 0, misses: 0 };
+  stats[hit ? 'hits' : 'misses']++;
+}
+
+// Only validated responses are cached. fresh skips the cache read, for when
+// a cached download link has already turned out to be dead.
+async function callProvider(method, arg, { fresh = false } = {}) {
+  if (!fresh) {
+    const cached = await readApiCache(method, arg);
+    recordApiCacheStat(method, !!cached);
+    if (cached) return cached.data;
+  }
+  
+  const failures = [];
+  
+  for (const provider of PROVIDERS) {
+    for (let attempt = 1; attempt <= PROVIDER_RETRY_ATTEMPTS; attempt++) {
+      try {
+        const data = await provider[method](arg);
+        const problem = PROVIDER_SCHEMAS[method](data);
+        if (problem) throw new Error(`invalid response: ${problem}`);
+        
+        if (provider !== PROVIDERS[0]) console.log(`🔀 ${method} served by ${provider.name} provider`);
+        await writeApiCache(method, arg, data);
+        return data;
+      } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        if (!isRetryableProviderError(error) || attempt === PROVIDER_RETRY_ATTEMPTS) {
+          failures.push(`${provider.name}: ${reason}`);
+          break;
+        }
+        console.log(`⚠️ ${provider.name} ${method} failed (${reason}), retrying...`);
+        await new Promise(resolve => setTimeout(resolve, PROVIDER_RETRY_DELAY * attempt));
+      }
+    }
+  }
+  
+  throw new Error(`${method} failed - ${failures.join('; ')}`);
+}
+
+async function searchMovies(query) {
+  return (await callProvider('search', query)) || [];
+}
+
+async function fetchMovieInfo(pageUrl) {
+  return callProvider('info', pageUrl);
+}
+
+async function fetchDownloadData(pageLink, options) {
+  return callProvider('resolveDownload', pageLink, options);
+}
+
+// ============================================
+// YOUTUBE METADATA TEMPLATES
+// ============================================
+
+function pickTemplateName(movieData) {
+  const language = String(movieData.tag || '').toLowerCase();
+  const match = Object.entries(metadataTemplates.templates)
+    .find(([, template]) => (template.languages || []).some(lang => language.includes(lang)));
+  return match ? match[0] : metadataTemplates.defaultTemplate;
+}
+
+function getTemplateVariables(movieData, item) {
+  const vars = {};
+  Object.entries(movieData).forEach(([key, value]) => {
+    if (typeof value === 'string' || typeof value === 'number') vars[key] = String(value);
+  });
+  
+  return {
+    ...vars,
+    quality: item?.download?.quality || '',
+    size: item?.download?.size || '',
+    source: (item?.source || '').toUpperCase(),
+    cleanTag: String(movieData.tag || '').replace(/[^a-zA-Z0-9]/g, ''),
+    cleanYear: String(movieData.year || '').replace(/[^0-9]/g, '')
+  };
+}
+
+// Unknown placeholders render empty; blank lines left by empty blocks are collapsed
+function renderTemplate(text, vars) {
+  return String(text || '')
+    .replace(/\{(\w+)\}/g, (match, key) => (vars[key] !== undefined ? vars[key] : ''))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function getTagsLength(tags) {
+  // YouTube counts quoted tags (those with spaces) plus the separating commas
+  return tags.reduce((total, tag) => total + tag.length + (tag.includes(' ') ? 2 : 0), 0) + Math.max(tags.length - 1, 0);
+}
+
+function validateMetadata(metadata) {
+  const issues = [];
+  const titleLength = Array.from(metadata.title).length;
+  const descriptionBytes = Buffer.byteLength(metadata.description, 'utf8');
+  const tagsLength = getTagsLength(metadata.tags);
+  
+  if (titleLength === 0) issues.push('Title is empty');
+  if (titleLength > YOUTUBE_LIMITS.title) issues.push(`Title is ${titleLength} chars (max ${YOUTUBE_LIMITS.title})`);
+  if (descriptionBytes > YOUTUBE_LIMITS.description) issues.push(`Description is ${descriptionBytes} bytes (max ${YOUTUBE_LIMITS.description})`);
+  if (tagsLength > YOUTUBE_LIMITS.tags) issues.push(`Tags are ${tagsLength} chars (max ${YOUTUBE_LIMITS.tags})`);
+  if (/[<>]/.test(metadata.title + metadata.description)) issues.push('Angle brackets (< >) are not allowed');
+  if (!YOUTUBE_CATEGORIES[metadata.categoryId]) issues.push(`Unknown category ${metadata.categoryId}`);
+  
+  return issues;
+}
+
+// Trim metadata so an over-long template never makes videos.insert reject the upload
+function fitMetadataToLimits(metadata) {
+  const title = Array.from(metadata.title.replace(/[<>]/g, '')).slice(0, YOUTUBE_LIMITS.title).join('');
+  
+  let description = metadata.description.replace(/[<>]/g, '');
+  while (Buffer.byteLength(description, 'utf8') > YOUTUBE_LIMITS.description) {
+    description = Array.from(description).slice(0, -50).join('');
+  }
+  
+  const tags = [];
+  metadata.tags.forEach(tag => {
+    if (getTagsLength([...tags, tag]) <= YOUTUBE_LIMITS.tags) tags.push(tag);
+  });
+  
+  return {
+    title: title || 'Untitled',
+    description: description,
+    tags: tags,
+    categoryId: YOUTUBE_CATEGORIES[metadata.categoryId] ? metadata.categoryId : '1'
+  };
+}
+
+function buildVideoMetadata(movieData, item, templateName) {
+  const requested = templateName || item?.templateName || pickTemplateName(movieData);
+  // A queued item can name a template deleted since; the built-in one is the last resort
+  const name = [requested, metadataTemplates.defaultTemplate].find(candidate => metadataTemplates.templates[candidate]);
+  const template = name ? metadataTemplates.templates[name] : DEFAULT_TEMPLATES.templates[DEFAULT_TEMPLATES.defaultTemplate];
+  
+  const baseVars = getTemplateVariables(movieData, item);
+  const vars = { ...baseVars, footer: renderTemplate(template.footer, baseVars) };
+  
+  const metadata = {
+    title: renderTemplate(template.title, vars),
+    description: renderTemplate(template.description, vars),
+    tags: (template.tags || []).map(tag => renderTemplate(tag, vars)).filter(Boolean),
+    categoryId: String(template.categoryId || '1')
+  };
+  
+  return {
+    ...fitMetadataToLimits(metadata),
+    templateName: name || DEFAULT_TEMPLATES.defaultTemplate,
+    issues: validateMetadata(metadata)
+  };
+}
+
+// Plain text on purpose: template content may contain Markdown control characters
+function formatMetadataPreview(metadata) {
+  let text = `📝 Template: ${metadata.templateName}\n\n`;
+  text += `📺 Title (${Array.from(metadata.title).length}/${YOUTUBE_LIMITS.title}):\n${metadata.title}\n\n`;
+  text += `📂 Category: ${YOUTUBE_CATEGORIES[metadata.categoryId]} (${metadata.categoryId})\n`;
+  text += `🏷️ Tags (${getTagsLength(metadata.tags)}/${YOUTUBE_LIMITS.tags}): ${metadata.tags.join(', ')}\n\n`;
+  text += `📄 Description (${Buffer.byteLength(metadata.description, 'utf8')}/${YOUTUBE_LIMITS.description}):\n`;
+  text += metadata.description.length > 800 ? `${metadata.description.substring(0, 800)}...` : metadata.description;
+  
+  if (metadata.issues.length > 0) {
+    text += `\n\n⚠️ Will be trimmed on upload:\n- ${metadata.issues.join('\n- ')}`;
+  }
+  return text;
+}
+
+// ============================================
+// CALLBACK CONTEXTS
+// ============================================
+
+// What the search -> quality -> source -> preview buttons need to rebuild their
+// selection: links, indexes and picks. Movie, series and download details are
+// fetched again on restore (mostly from the API cache) instead of being stored.
+function buildCallbackContext(session) {
+  const { movieData, downloadData, pendingSource, series } = session;
+  // A series stays in the session after moving on to a plain movie
+  const seriesLink = series && (session.selectedMovie?.link === series.link || movieData?.seriesLink === series.link)
+    ? series.link : null;
+  const downloadIndex = downloadData && session.selectedDownload
+    ? (movieData?.downloads || []).findIndex(download => download.link === session.selectedDownload.link)
+    : -1;
+  const sourceIndex = downloadIndex >= 0 && pendingSource
+    ? downloadData.download.findIndex(src => src.url === pendingSource.url)
+    : -1;
+  
+  return {
+    searchResults: session.searchResults || [],
+    selectedMovie: session.selectedMovie || null,
+    seriesLink,
+    episode: seriesLink && movieData?.seriesLink ? { season: movieData.season, episode: movieData.episode } : null,
+    seasonQualities: seriesLink ? session.seasonQualities || null : null,
+    downloadIndex: downloadIndex >= 0 ? downloadIndex : null,
+    sourceIndex: sourceIndex >= 0 ? sourceIndex : null,
+    pending: sourceIndex >= 0 ? {
+      template: session.pendingTemplate,
+      privacy: session.pendingPrivacy,
+      publishAt: session.pendingPublishAt,
+      channel: session.pendingChannel,
+      playlist: session.pendingPlaylist
+    } : null
+  };
+}
+
+function pruneCallbackContexts() {
+  const now = Date.now();
+  const entries = Object.entries(callbackContexts)
+    .filter(([, context]) => now - context.createdAt < CALLBACK_CONTEXT_TTL)
+    .sort((a, b) => b[1].createdAt - a[1].createdAt)
+    .slice(0, CALLBACK_CONTEXT_LIMIT);
+  
+  const removed = Object.keys(callbackContexts).length - entries.length;
+  callbackContexts = Object.fromEntries(entries);
+  return removed;
+}
+
+// The ID is a hash of the context, so re-rendering the same selection reuses it
+function registerCallbackContext(session) {
+  const context = buildCallbackContext(session);
+  const contextId = crypto.createHash('sha1').update(JSON.stringify(context)).digest('hex').substring(0, 12);
+  
+  // Only new contexts are saved; a touched one keeps its old timestamp on disk until the next save
+  if (callbackContexts[contextId]) {
+    callbackContexts[contextId].createdAt = Date.now();
+  } else {
+    callbackContexts[contextId] = { ...context, createdAt: Date.now() };
+    pruneCallbackContexts();
+    saveCallbackContexts();
+  }
+  return contextId;
+}
+
+// null once the button expired
+function getCallbackContext(contextId) {
+  const context = callbackContexts[contextId];
+  return context && Date.now() - context.createdAt < CALLBACK_CONTEXT_TTL ? context : null;
+}
+
+// Puts a button's own selection back into the session. Details are only fetched
+// again when the session has moved on to another selection since.
+async function restoreCallbackContext(session, context) {
+  const { selectedMovie, seriesLink, episode, downloadIndex } = context;
+  const sameMovie = !!selectedMovie && session.selectedMovie?.link === selectedMovie.link && !!session.movieData;
+  
+  session.searchResults = context.searchResults;
+  session.seasonQualities = context.seasonQualities;
+  
+  if (!seriesLink) {
+    session.series = null;
+  } else if (session.series?.link !== seriesLink) {
+    session.series = buildSeries(await fetchMovieInfo(seriesLink), seriesLink, selectedMovie?.image);
+    if (!session.series) throw new Error('Series has no episodes anymore');
+  }
+  
+  if (!selectedMovie) {
+    session.movieData = null;
+  } else if (!sameMovie) {
+    if (episode) {
+      const found = findEpisode(session, episode.season, episode.episode);
+      if (!found) throw new Error('Episode is no longer listed');
+      session.movieData = buildEpisodeMovieData(session.series, found.season, found.episode, await fetchMovieInfo(found.episode.link));
+    } else {
+      session.movieData = await fetchMovieInfo(selectedMovie.link);
+    }
+  }
+  session.selectedMovie = selectedMovie;
+  
+  if (downloadIndex === null) {
+    session.selectedDownload = null;
+    session.downloadData = null;
+  } else {
+    const download = session.movieData.downloads?.[downloadIndex];
+    if (!download) throw new Error('Quality is no longer listed');
+    if (!sameMovie || session.selectedDownload?.link !== download.link || !session.downloadData) {
+      session.downloadData = await fetchDownloadData(download.link);
+    }
+    session.selectedDownload = download;
+  }
+  
+  const { pending } = context;
+  session.pendingSource = pending ? session.downloadData.download[context.sourceIndex] || null : null;
+  if (pending && !session.pendingSource) throw new Error('Source is no longer listed');
+  session.pendingTemplate = pending?.template ?? null;
+  session.pendingPrivacy = pending?.privacy ?? null;
+  session.pendingPublishAt = pending?.publishAt ?? null;
+  session.pendingChannel = pending?.channel ?? null;
+  session.pendingPlaylist = pending?.playlist ?? null;
+}
+
+// "<callback>@<contextId>" - the handler strips the suffix after restoring the context
+function contextData(data, contextId) {
+  return `${data}@${contextId}`;
+}
+
+// ============================================
+// KEYBOARDS
+// ============================================
+
+const keyboards = {
+  main: () => ({
+    inline_keyboard: [
+      [{ text: '🔍 Search Movie', callback_data: 'search_movie' }, { text: '📋 Queue', callback_data: 'view_queue' }],
+      [{ text: '📊 Analytics', callback_data: 'analytics' }, { text: '🪦 Failed', callback_data: 'view_failed' }],
+      [{ text: '📜 History', callback_data: 'view_history' }, { text: '❓ Help', callback_data: 'help' }]
+    ]
+  }),
+  
+  queueItem: (item) => ({
+    inline_keyboard: [
+      [
+        item.paused
+          ? { text: '▶️ Resume', callback_data: `resume_${item.taskId}` }
+          : { text: isActiveTask(item) ? '⏸️ Pause' : '✋ Hold', callback_data: `pause_${item.taskId}` },
+        { text: '❌ Remove', callback_data: `queue_remove_${item.taskId}` }
+      ],
+      [
+        { text: '⬆️ Up', callback_data: `queue_up_${item.taskId}` },
+        { text: '⬇️ Down', callback_data: `queue_down_${item.taskId}` },
+        { text: '⏫ Top', callback_data: `queue_top_${item.taskId}` }
+      ],
+      Object.entries(PRIORITY_LEVELS).map(([level, label]) => ({
+        text: `${(item.priority || 'normal') === level ? '✅ ' : ''}${label}`,
+        callback_data: `queue_prio_${level}_${item.taskId}`
+      })),
+      [{ text: '🔙 Back', callback_data: 'view_queue' }]
+    ]
+  }),
+
+  cancelResume: (taskId) => ({
+    inline_keyboard: [
+      [{ text: '⏸️ Pause', callback_data: `pause_${taskId}` }, { text: '❌ Cancel', callback_data: `cancel_${taskId}` }]
+    ]
+  }),
+
+  resumeTask: (taskId) => ({
+    inline_keyboard: [
+      [{ text: '▶️ Resume', callback_data: `resume_${taskId}` }, { text: '❌ Cancel', callback_data: `cancel_${taskId}` }]
+    ]
+  }),
+
+  seasons: (series, contextId) => ({
+    inline_keyboard: series.seasons.map(season => [{
+      text: `📚 Season ${season.number} (${season.episodes.length} episodes)`,
+      callback_data: contextData(`season_${season.number}`, contextId)
+    }])
+  }),
+
+  episodes: (series, season, contextId) => {
+    const rows = [];
+    for (let i = 0; i < season.episodes.length; i += 4) {
+      rows.push(season.episodes.slice(i, i + 4).map(episode => ({
+        text: `${isAlreadyProcessed(getEpisodeKey(series.link, season.number, episode.number)) ? '✅ ' : ''}E${episode.number}`,
+        callback_data: contextData(`episode_${season.number}_${episode.number}`, contextId)
+      })));
+    }
+    rows.push([{ text: '📦 Queue Whole Season', callback_data: contextData(`season_all_${season.number}`, contextId) }]);
+    rows.push([{ text: '🔙 Seasons', callback_data: contextData('series_seasons', contextId) }]);
+    return { inline_keyboard: rows };
+  },
+
+  releaseCard: (cardId) => ({
+    inline_keyboard: [
+      [{ text: '✅ Queue', callback_data: `watch_queue_${cardId}` }, { text: '⏭️ Skip', callback_data: `watch_skip_${cardId}` }]
+    ]
+  }),
+
+  failedItem: (taskId) => ({
+    inline_keyboard: [
+      [{ text: '🔄 Requeue', callback_data: `failed_requeue_${taskId}` }, { text: '🗑️ Delete', callback_data: `failed_delete_${taskId}` }],
+      [{ text: '🔙 Back', callback_data: 'view_failed' }]
+    ]
+  }),
+
+  queuePreview: (session, contextId) => ({
+    inline_keyboard: [
+      Object.keys(metadataTemplates.templates).map(name => ({
+        text: `${name === session.pendingTemplate ? '✅ ' : ''}${name}`,
+        callback_data: contextData(`preview_tpl_${name}`, contextId)
+      })),
+      Object.entries(PRIVACY_OPTIONS).map(([privacy, label]) => ({
+        text: `${!session.pendingPublishAt && privacy === session.pendingPrivacy ? '✅ ' : ''}${label}`,
+        callback_data: contextData(`preview_privacy_${privacy}`, contextId)
+      })),
+      [
+        { text: `${session.pendingPublishAt ? '' : '✅ '}⚡ Now`, callback_data: contextData('preview_publish_now', contextId) },
+        ...botSettings.publishSlots.map((slot, idx) => ({
+          text: `${session.pendingPublishAt === getNextSlotTime(slot) ? '✅ ' : ''}⏰ ${slot}`,
+          callback_data: contextData(`preview_publish_${idx}`, contextId)
+        }))
+      ],
+      ...(Object.keys(channelConfig.channels).length > 1 ? [Object.keys(channelConfig.channels).map(name => ({
+        text: `${name === session.pendingChannel ? '✅ ' : ''}📡 ${name}`,
+        callback_data: contextData(`preview_channel_${name}`, contextId)
+      }))] : []),
+      ...(playlistConfig.rules.length > 0 ? [
+        [
+          { text: `${!session.pendingPlaylist ? '✅ ' : ''}📚 By rules`, callback_data: contextData('preview_playlist_auto', contextId) },
+          { text: `${session.pendingPlaylist === 'none' ? '✅ ' : ''}🚫 No playlist`, callback_data: contextData('preview_playlist_none', contextId) }
+        ],
+        ...getPlaylistTitles().map((title, idx) => [{
+          text: `${session.pendingPlaylist === title ? '✅ ' : ''}📚 ${title}`,
+          callback_data: contextData(`preview_playlist_${idx}`, contextId)
+        }])
+      ] : []),
+      [{ text: '➕ Add to Queue', callback_data: contextData('confirm_queue', contextId) }],
+      [{ text: '❌ Cancel', callback_data: 'main_menu' }]
+    ]
+  }),
+
+  alert: (type) => ({
+    inline_keyboard: [
+      [{ text: '🔕 Snooze 1h', callback_data: 'alert_snooze_60' }, { text: '🔕 Snooze 8h', callback_data: 'alert_snooze_480' }],
+      [{ text: `🔇 Mute "${ALERT_TYPES[type]}"`, callback_data: `alert_mute_${type}` }]
+    ]
+  }),
+
+  alreadyProcessed: (contextId) => ({
+    inline_keyboard: [
+      [{ text: '✅ Yes, Repost', callback_data: contextData('repost_confirm', contextId) }],
+      [{ text: '❌ No, Cancel', callback_data: 'duplicate_skip' }]
+    ]
+  })
+};
+
+// ============================================
+// COMMANDS
+// ============================================
+
+bot.onText(/\/start/, (msg) => {
+  if (!isAdmin(msg)) {
+    return bot.sendMessage(msg.chat.id, '❌ Admin Only\n🔐 @' + ADMIN_USERNAME);
+  }
+
+  bot.sendMessage(msg.chat.id, `
+👋 *Welcome ${msg.from.first_name}!*
+
+🤖 *CineSubz Movie Bot - ULTIMATE*
+
+✅ Search movies from CineSubz
+✅ Multiple quality options
+✅ Auto upload to YouTube 📺
+✅ Chunked upload (unlimited size) 🚀
 ✅ Progress tracking 📊
 ✅ Queue management 🗂️
 ✅ Cancel & Resume support ⏸️
@@ -312,36 +1701,658 @@ bot.onText(/\/start/, (msg) => {
   `, { parse_mode: 'Markdown', reply_markup: keyboards.main() });
 });
 
-bot.onText(/\/search (.+)/, async (msg, match) => {
+bot.onText(/\/search (.+)/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const searchQuery = match[1];
+  await handleSearch(msg.chat.id, msg.from.id, searchQuery);
+});
+
+bot.onText(/\/cancel/, async (msg) => {
+  if (!isAdmin(msg)) return;
+  
+  const active = videoQueue.filter(isActiveTask);
+  if (active.length > 0) {
+    active.forEach(item => { item.cancelled = true; });
+    saveQueue();
+    bot.sendMessage(msg.chat.id, `⏸️ Cancelling ${active.length} running task(s)...`, { parse_mode: 'Markdown' });
+  } else {
+    bot.sendMessage(msg.chat.id, '❌ No active task to cancel', { parse_mode: 'Markdown' });
+  }
+});
+
+bot.onText(/\/reauth(?: (\S+))?/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const channelName = match[1] || channelConfig.defaultChannel;
+  if (!channelConfig.channels[channelName]) {
+    return bot.sendMessage(msg.chat.id, `❌ Unknown channel "${channelName}". See /channels`);
+  }
+  
+  if (pendingAuth) {
+    return bot.sendMessage(msg.chat.id, `⏳ Still waiting for the code for channel "${pendingAuth.channelName}"`);
+  }
+  
+  bot.sendMessage(msg.chat.id, `🔐 Re-authenticating YouTube channel "${channelName}"...`);
+  
+  try {
+    await fs.unlink(getChannelTokenPath(channelName)).catch(() => {});
+    youtubeAuths.set(channelName, await getYouTubeAuth(channelName));
+    bot.sendMessage(msg.chat.id, '✅ YouTube authentication successful!');
+  } catch (error) {
+    bot.sendMessage(msg.chat.id, '❌ Authentication failed: ' + error.message);
+  }
+});
+
+// While an OAuth flow is waiting, the admin's next plain message is the code
+bot.on('message', (msg) => {
+  if (!pendingAuth || !msg.text || msg.text.startsWith('/')) return;
+  if (!isAdmin(msg)) return;
+  
+  pendingAuth.submit(extractAuthCode(msg.text));
+});
+
+bot.onText(/^\/channels(?: (\w+))?(?: (\S+))?(?: (\S+))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const [, action, arg1, arg2] = match;
+  const reply = (text) => bot.sendMessage(msg.chat.id, text);
+  
+  if (!action || action === 'list') {
+    let text = `📺 YouTube Channels\n\n`;
+    Object.keys(channelConfig.channels).forEach(name => {
+      const stats = analytics.channels?.[name] || { uploads: 0, failed: 0 };
+      const isDefault = name === channelConfig.defaultChannel ? ' ⭐ default' : '';
+      text += `${youtubeAuths.has(name) ? '✅' : '❌'} ${name}${isDefault} - ${stats.uploads} uploaded, ${stats.failed} failed\n`;
+    });
+    
+    const routes = Object.entries(channelConfig.routes);
+    text += `\nRoutes:\n${routes.length ? routes.map(([lang, name]) => `• ${lang} → ${name}`).join('\n') : '• none (everything goes to default)'}\n`;
+    text += `\nCommands:\n`;
+    text += `/channels add <name>\n`;
+    text += `/channels remove <name>\n`;
+    text += `/channels default <name>\n`;
+    text += `/channels route <language> <name>\n`;
+    text += `/channels unroute <language>\n`;
+    text += `/reauth <name>`;
+    return reply(text);
+  }
+  
+  if (action === 'add') {
+    if (!arg1 || !/^[a-z0-9_-]{1,20}$/.test(arg1)) {
+      return reply('❌ Use: /channels add <name> (1-20 lowercase letters, digits, - or _)');
+    }
+    if (channelConfig.channels[arg1]) {
+      return reply(`❌ Channel "${arg1}" already exists. Use /reauth ${arg1} to replace its login`);
+    }
+    
+    channelConfig.channels[arg1] = { tokenFile: `youtube_token_${arg1}.json`, addedAt: new Date().toISOString() };
+    await saveChannels();
+    reply(`🔐 Channel "${arg1}" added. Authenticating...`);
+    
+    try {
+      youtubeAuths.set(arg1, await getYouTubeAuth(arg1));
+      reply(`✅ Channel "${arg1}" authenticated!`);
+    } catch (error) {
+      reply(`❌ Authentication failed: ${error.message}\nRetry with /reauth ${arg1}`);
+    }
+    return;
+  }
+  
+  if (action === 'remove') {
+    if (!channelConfig.channels[arg1]) return reply(`❌ Unknown channel "${arg1}"`);
+    if (arg1 === channelConfig.defaultChannel) return reply('❌ Cannot remove the default channel. Set another default first.');
+    
+    await fs.unlink(getChannelTokenPath(arg1)).catch(() => {});
+    delete channelConfig.channels[arg1];
+    youtubeAuths.delete(arg1);
+    Object.keys(channelConfig.routes).forEach(lang => {
+      if (channelConfig.routes[lang] === arg1) delete channelConfig.routes[lang];
+    });
+    await saveChannels();
+    return reply(`🗑️ Channel "${arg1}" removed`);
+  }
+  
+  if (action === 'default') {
+    if (!channelConfig.channels[arg1]) return reply(`❌ Unknown channel "${arg1}"`);
+    channelConfig.defaultChannel = arg1;
+    await saveChannels();
+    return reply(`⭐ "${arg1}" is now the default channel`);
+  }
+  
+  if (action === 'route') {
+    if (!arg1 || !channelConfig.channels[arg2]) return reply('❌ Use: /channels route <language> <channel>');
+    channelConfig.routes[arg1.toLowerCase()] = arg2;
+    await saveChannels();
+    return reply(`✅ ${arg1} movies now go to "${arg2}"`);
+  }
+  
+  if (action === 'unroute') {
+    if (!arg1 || !channelConfig.routes[arg1.toLowerCase()]) return reply('❌ Use: /channels unroute <language>');
+    delete channelConfig.routes[arg1.toLowerCase()];
+    await saveChannels();
+    return reply(`✅ Route for ${arg1} removed`);
+  }
+  
+  reply('❌ Unknown action. See /channels');
+});
+
+bot.onText(/^\/queue(?: (\w+))?(?: (\S+))?(?: (\S+))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const [, action, arg1, arg2] = match;
+  const reply = (text) => bot.sendMessage(msg.chat.id, text);
+  
+  if (!action || action === 'list') {
+    await sendQueueView(msg.chat.id);
+    return reply(
+      `Commands (<item> is a queue number or task ID):\n` +
+      `/queue up|down|top <item>\n` +
+      `/queue priority <item> <${Object.keys(PRIORITY_LEVELS).join('|')}>\n` +
+      `/queue pause|resume|remove <item>\n` +
+      `/queue pauseall\n` +
+      `/queue resumeall\n` +
+      `/queue clearfailed`
+    );
+  }
+  
+  if (action === 'pauseall' || action === 'resumeall') {
+    const paused = action === 'pauseall';
+    const count = setQueuePaused(paused);
+    saveQueue();
+    if (!paused) processQueue();
+    return reply(paused ? `⏸️ Paused ${count} item(s)` : `▶️ Resumed ${count} item(s)`);
+  }
+  
+  if (action === 'clearfailed') {
+    const count = await clearFailedItems();
+    return reply(`🧹 Cleared ${count} failed item(s)`);
+  }
+  
+  if (!['up', 'down', 'top', 'priority', 'pause', 'resume', 'remove'].includes(action)) {
+    return reply('❌ Unknown action. See /queue');
+  }
+  
+  const item = arg1 && findQueueItem(arg1);
+  if (!item) return reply(`❌ No queue item "${arg1 || ''}". See /queue`);
+  const title = item.movieData.title.substring(0, 40);
+  
+  if (action === 'priority') {
+    if (!PRIORITY_LEVELS[arg2]) return reply(`❌ Use: /queue priority <item> <${Object.keys(PRIORITY_LEVELS).join('|')}>`);
+    item.priority = arg2;
+    saveQueue();
+    return reply(`🎚️ ${title} → ${PRIORITY_LEVELS[arg2]}`);
+  }
+  
+  if (action === 'pause' || action === 'resume') {
+    item.paused = action === 'pause';
+    saveQueue();
+    if (!item.paused) processQueue();
+    return reply(`${item.paused ? '⏸️ Paused' : '▶️ Resumed'} ${title}`);
+  }
+  
+  if (action === 'remove') {
+    await removeQueueItem(item);
+    return reply(`🗑️ Removed ${title}`);
+  }
+  
+  if (!moveQueueItem(item, action)) return reply(`ℹ️ ${title} can't move ${action}`);
+  saveQueue();
+  reply(`✅ ${title} is now #${videoQueue.indexOf(item) + 1}`);
+});
+
+bot.onText(/^\/watch(?: (.+))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const query = match[1]?.trim();
+  
+  if (!query) {
+    const settings = botSettings.watch;
+    let text = `👀 Watchlist\n\n`;
+    text += watchlist.watches.length
+      ? watchlist.watches.map((watch, i) => `${i + 1}. ${watch.query}${watch.lastChecked ? ` (checked ${new Date(watch.lastChecked).toLocaleTimeString()})` : ''}`).join('\n')
+      : 'Nothing watched yet';
+    text += `\n\n⚙️ Every ${settings.interval} min · ${settings.mode === 'auto' ? '🤖 auto-queue' : '🙋 approve first'}\n`;
+    text += `🎞️ Quality: ${settings.qualities.join(' > ') || 'first listed'} · 📦 Source: ${settings.source || 'auto'}\n`;
+    text += `🌙 Quiet hours: ${settings.quietHours || 'off'}\n`;
+    text += `\nCommands:\n`;
+    text += `/watch <query>\n`;
+    text += `/unwatch <number>\n`;
+    text += `/watchnow\n`;
+    text += `/watchset interval <minutes>\n`;
+    text += `/watchset mode <auto|approve>\n`;
+    text += `/watchset quality <1080p,720p>\n`;
+    text += `/watchset source <${SOURCE_PRIORITY.join('|')}|auto>\n`;
+    text += `/watchset quiet <HH:MM-HH:MM|off>`;
+    return bot.sendMessage(msg.chat.id, text);
+  }
+  
+  if (watchlist.watches.some(watch => watch.query.toLowerCase() === query.toLowerCase())) {
+    return bot.sendMessage(msg.chat.id, `❌ Already watching "${query}"`);
+  }
+  
+  // Whatever the search returns today is the baseline - only later additions count as new
+  let baseline = [];
+  try {
+    baseline = await searchMovies(query);
+  } catch (error) {
+    return bot.sendMessage(msg.chat.id, `❌ Search failed: ${error.message}`);
+  }
+  baseline.filter(isNewRelease).forEach(movie => markReleaseSeen(movie.link));
+  
+  watchlist.watches.push({ query, chatId: msg.chat.id, addedAt: Date.now(), lastChecked: Date.now() });
+  await saveWatchlist();
+  bot.sendMessage(msg.chat.id, `👀 Watching "${query}"\n\n${baseline.length} current result(s) ignored, new releases will show up here.`);
+});
+
+bot.onText(/^\/unwatch (\d+)$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const removed = watchlist.watches.splice(parseInt(match[1]) - 1, 1)[0];
+  if (!removed) return bot.sendMessage(msg.chat.id, '❌ No such watch. See /watch');
+  
+  await saveWatchlist();
+  bot.sendMessage(msg.chat.id, `🗑️ Stopped watching "${removed.query}"`);
+});
+
+bot.onText(/^\/watchnow$/, async (msg) => {
+  if (!isAdmin(msg)) return;
+  
+  if (watchlist.watches.length === 0) return bot.sendMessage(msg.chat.id, '❌ Watchlist is empty. Use /watch <query>');
+  if (watchPolling) return bot.sendMessage(msg.chat.id, '⏳ A watchlist check is already running');
+  
+  const found = await pollWatchlist({ manual: true });
+  bot.sendMessage(msg.chat.id, found > 0 ? `👀 Found ${found} new release(s)` : '👀 No new releases');
+});
+
+bot.onText(/^\/watchset (\w+) (\S+)$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const [, key, value] = match;
+  const settings = botSettings.watch;
+  const reply = (text) => bot.sendMessage(msg.chat.id, text);
+  
+  if (key === 'interval') {
+    const minutes = parseInt(value);
+    if (!minutes || minutes < 5 || minutes > 24 * 60) return reply('❌ Interval must be 5-1440 minutes');
+    settings.interval = minutes;
+    startWatchPoller();
+  } else if (key === 'mode') {
+    if (!['auto', 'approve'].includes(value)) return reply('❌ Use: /watchset mode <auto|approve>');
+    settings.mode = value;
+  } else if (key === 'quality') {
+    settings.qualities = value.split(',').map(quality => quality.trim()).filter(Boolean);
+  } else if (key === 'source') {
+    if (value !== 'auto' && !SOURCE_PRIORITY.includes(value)) return reply(`❌ Use one of: ${SOURCE_PRIORITY.join(', ')}, auto`);
+    settings.source = value === 'auto' ? null : value;
+  } else if (key === 'quiet') {
+    if (value !== 'off' && !/^([01]?\d|2[0-3]):[0-5]\d-([01]?\d|2[0-3]):[0-5]\d$/.test(value)) {
+      return reply('❌ Use: /watchset quiet 23:00-07:00 (or off)');
+    }
+    settings.quietHours = value === 'off' ? null : value;
+  } else {
+    return reply('❌ Unknown setting. See /watch');
+  }
+  
+  await saveSettings();
+  reply(`✅ Watch ${key} updated`);
+});
+
+// Sample data so templates can be previewed before any search
+const SAMPLE_MOVIE = {
+  title: 'Bad Newz (2024) Sinhala Subtitles',
+  rating: '7.2',
+  year: '2024',
+  duration: '2h 22m',
+  directors: 'Director: Anand Tiwari',
+  tag: 'Hindi'
+};
+
+bot.onText(/^\/templates$/, async (msg) => {
+  if (!isAdmin(msg)) return;
+  
+  let text = `📝 Metadata Templates\n\n`;
+  Object.entries(metadataTemplates.templates).forEach(([name, template]) => {
+    const isDefault = name === metadataTemplates.defaultTemplate ? ' ⭐ default' : '';
+    text += `• ${name}${isDefault}\n  Languages: ${(template.languages || []).join(', ') || '-'}\n  Category: ${YOUTUBE_CATEGORIES[template.categoryId] || template.categoryId}\n`;
+  });
+  text += `\nCommands:\n`;
+  text += `/template <name> - show template\n`;
+  text += `/template_preview <name> - render with last movie\n`;
+  text += `/template_new <name> [copy-from]\n`;
+  text += `/template_set <name> <field> <value>\n`;
+  text += `  fields: ${TEMPLATE_FIELDS.join(', ')}\n`;
+  text += `/template_default <name>\n`;
+  text += `/template_delete <name>\n`;
+  text += `/categories - list YouTube categories\n\n`;
+  text += `Placeholders: {title} {rating} {year} {duration} {directors} {tag} {quality} {size} {source} {footer} {cleanTag} {cleanYear}, for episodes {series} {season} {episode} {episodeCode}, and any other movie field`;
+  
+  bot.sendMessage(msg.chat.id, text);
+});
+
+bot.onText(/^\/template (\S+)$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const template = metadataTemplates.templates[match[1]];
+  if (!template) {
+    return bot.sendMessage(msg.chat.id, `❌ Template "${match[1]}" not found. See /templates`);
+  }
+  
+  bot.sendMessage(msg.chat.id,
+    `📝 Template: ${match[1]}\n\n` +
+    `languages: ${(template.languages || []).join(', ')}\n\n` +
+    `category: ${template.categoryId}\n\n` +
+    `title:\n${template.title}\n\n` +
+    `tags: ${(template.tags || []).join(', ')}\n\n` +
+    `footer:\n${template.footer || '-'}\n\n` +
+    `description:\n${template.description}`
+  );
+});
+
+bot.onText(/^\/template_preview (\S+)$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  if (!metadataTemplates.templates[match[1]]) {
+    return bot.sendMessage(msg.chat.id, `❌ Template "${match[1]}" not found. See /templates`);
+  }
+  
+  const session = getUserSession(msg.from.id);
+  const movieData = session.movieData || SAMPLE_MOVIE;
+  const previewItem = { download: { quality: 'Full HD 1080p', size: '2.1 GB' }, source: 'gdrive' };
+  const metadata = buildVideoMetadata(movieData, previewItem, match[1]);
+  
+  bot.sendMessage(msg.chat.id, `👀 Preview\n\n${formatMetadataPreview(metadata)}`);
+});
+
+bot.onText(/^\/template_new (\S+)(?: (\S+))?$/, async (msg, match) => {
   if (!isAdmin(msg)) return;
   
-  const searchQuery = match[1];
-  await handleSearch(msg.chat.id, msg.from.id, searchQuery);
+  const [, name, copyFrom] = match;
+  if (!/^[a-z0-9_-]{1,20}$/.test(name)) {
+    return bot.sendMessage(msg.chat.id, '❌ Use 1-20 lowercase letters, digits, - or _ for template names');
+  }
+  if (metadataTemplates.templates[name]) {
+    return bot.sendMessage(msg.chat.id, `❌ Template "${name}" already exists`);
+  }
+  
+  const source = metadataTemplates.templates[copyFrom || metadataTemplates.defaultTemplate] || DEFAULT_TEMPLATES.templates.english;
+  metadataTemplates.templates[name] = { ...JSON.parse(JSON.stringify(source)), languages: [] };
+  await saveTemplates();
+  
+  bot.sendMessage(msg.chat.id, `✅ Template "${name}" created. Edit it with /template_set ${name} <field> <value>`);
 });
 
-bot.onText(/\/cancel/, async (msg) => {
+bot.onText(/^\/template_set (\S+) (\S+) ([\s\S]+)$/, async (msg, match) => {
   if (!isAdmin(msg)) return;
   
-  if (currentProcessing) {
-    currentProcessing.cancelled = true;
-    bot.sendMessage(msg.chat.id, '⏸️ Cancelling current task...', { parse_mode: 'Markdown' });
+  const [, name, field, rawValue] = match;
+  const template = metadataTemplates.templates[name];
+  const value = rawValue.trim();
+  
+  if (!template) {
+    return bot.sendMessage(msg.chat.id, `❌ Template "${name}" not found. See /templates`);
+  }
+  if (!TEMPLATE_FIELDS.includes(field)) {
+    return bot.sendMessage(msg.chat.id, `❌ Unknown field "${field}". Use one of: ${TEMPLATE_FIELDS.join(', ')}`);
+  }
+  
+  if (field === 'category') {
+    const categoryId = YOUTUBE_CATEGORIES[value]
+      ? value
+      : Object.keys(YOUTUBE_CATEGORIES).find(id => YOUTUBE_CATEGORIES[id].toLowerCase() === value.toLowerCase());
+    if (!categoryId) {
+      return bot.sendMessage(msg.chat.id, '❌ Unknown category. See /categories');
+    }
+    template.categoryId = categoryId;
+  } else if (field === 'tags' || field === 'languages') {
+    const list = value.split(',').map(entry => entry.trim()).filter(Boolean);
+    template[field] = field === 'languages' ? list.map(lang => lang.toLowerCase()) : list;
   } else {
-    bot.sendMessage(msg.chat.id, '❌ No active task to cancel', { parse_mode: 'Markdown' });
+    // "-" clears optional blocks such as the footer
+    template[field] = value === '-' ? '' : value;
   }
+  
+  await saveTemplates();
+  
+  const session = getUserSession(msg.from.id);
+  const metadata = buildVideoMetadata(session.movieData || SAMPLE_MOVIE, null, name);
+  const warnings = metadata.issues.length > 0 ? `\n\n⚠️ With ${session.movieData ? 'the last movie' : 'sample data'}:\n- ${metadata.issues.join('\n- ')}` : '';
+  
+  bot.sendMessage(msg.chat.id, `✅ Updated ${field} of "${name}"${warnings}`);
 });
 
-bot.onText(/\/reauth/, async (msg) => {
+bot.onText(/^\/template_default (\S+)$/, async (msg, match) => {
   if (!isAdmin(msg)) return;
   
-  bot.sendMessage(msg.chat.id, '🔐 Re-authenticating with YouTube...');
+  if (!metadataTemplates.templates[match[1]]) {
+    return bot.sendMessage(msg.chat.id, `❌ Template "${match[1]}" not found. See /templates`);
+  }
+  
+  metadataTemplates.defaultTemplate = match[1];
+  await saveTemplates();
+  bot.sendMessage(msg.chat.id, `⭐ "${match[1]}" is now the default template`);
+});
+
+bot.onText(/^\/template_delete (\S+)$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
   
-  try {
-    await fs.unlink(TOKEN_PATH).catch(() => {});
-    youtubeAuth = await getYouTubeAuth();
-    bot.sendMessage(msg.chat.id, '✅ YouTube authentication successful!');
-  } catch (error) {
-    bot.sendMessage(msg.chat.id, '❌ Authentication failed: ' + error.message);
+  if (!metadataTemplates.templates[match[1]]) {
+    return bot.sendMessage(msg.chat.id, `❌ Template "${match[1]}" not found. See /templates`);
+  }
+  if (match[1] === metadataTemplates.defaultTemplate) {
+    return bot.sendMessage(msg.chat.id, '❌ Cannot delete the default template. Set another default first.');
+  }
+  
+  delete metadataTemplates.templates[match[1]];
+  await saveTemplates();
+  bot.sendMessage(msg.chat.id, `🗑️ Template "${match[1]}" deleted`);
+});
+
+bot.onText(/^\/privacy(?: (\S+))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const privacy = match[1];
+  if (!privacy) {
+    return bot.sendMessage(msg.chat.id,
+      `🔐 Default privacy: ${PRIVACY_OPTIONS[botSettings.defaultPrivacy]}\n⏰ Publish slots: ${botSettings.publishSlots.join(', ') || '-'}\n\n` +
+      `Use: /privacy <public|unlisted|private>\nUse: /slots <HH:MM,HH:MM>`
+    );
+  }
+  if (!PRIVACY_OPTIONS[privacy]) {
+    return bot.sendMessage(msg.chat.id, '❌ Use public, unlisted or private');
+  }
+  
+  botSettings.defaultPrivacy = privacy;
+  await saveSettings();
+  bot.sendMessage(msg.chat.id, `✅ Default privacy set to ${PRIVACY_OPTIONS[privacy]}`);
+});
+
+bot.onText(/^\/slots (.+)$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const slots = match[1].split(',').map(slot => slot.trim()).filter(Boolean);
+  if (slots.length === 0 || slots.length > 4 || !slots.every(slot => /^([01]?\d|2[0-3]):[0-5]\d$/.test(slot))) {
+    return bot.sendMessage(msg.chat.id, '❌ Give 1-4 times as HH:MM, e.g. /slots 18:00,20:30');
+  }
+  
+  botSettings.publishSlots = slots;
+  await saveSettings();
+  bot.sendMessage(msg.chat.id, `✅ Publish slots: ${slots.join(', ')}`);
+});
+
+bot.onText(/^\/playlists(?: (\w+))?(?: (\S+))?(?: (\S+))?(?: (.+))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const [, action, arg1, arg2, arg3] = match;
+  const reply = (text) => bot.sendMessage(msg.chat.id, text);
+  const fields = ['tag', 'year', 'genre', 'manual'];
+  
+  if (!action || action === 'list') {
+    let text = `📚 Playlist Rules\n\n`;
+    text += playlistConfig.rules.length
+      ? playlistConfig.rules.map((rule, i) => `${i + 1}. ${rule.field === 'manual' ? '✋ manual pick' : `${rule.field} ~ "${rule.value}"`} → ${rule.playlist}`).join('\n')
+      : 'No rules - uploads stay out of playlists';
+    text += `\n\n📚 Season playlists: ${botSettings.seasonPlaylists ? 'on' : 'off'}\n`;
+    text += `\nCommands:\n`;
+    text += `/playlists add <tag|year|genre> <value> <playlist title>\n`;
+    text += `/playlists add manual <playlist title>\n`;
+    text += `/playlists remove <number>\n`;
+    text += `/seasonplaylists <on|off>\n`;
+    text += `\nAll matching rules apply. Manual playlists are only offered when queuing.`;
+    return reply(text);
+  }
+  
+  if (action === 'add') {
+    if (!fields.includes(arg1)) return reply(`❌ Rule type must be one of: ${fields.join(', ')}`);
+    
+    // Manual playlists have no value, so the rest of the line is the title
+    const value = arg1 === 'manual' ? '' : arg2;
+    const playlist = (arg1 === 'manual' ? [arg2, arg3] : [arg3]).filter(Boolean).join(' ').trim();
+    if (!playlist || (arg1 !== 'manual' && !value)) {
+      return reply('❌ Use: /playlists add <tag|year|genre> <value> <playlist title>');
+    }
+    if (playlist.length > 150) return reply('❌ Playlist titles are limited to 150 characters');
+    
+    playlistConfig.rules.push({ field: arg1, value, playlist, addedAt: new Date().toISOString() });
+    await savePlaylists();
+    return reply(arg1 === 'manual' ? `✅ "${playlist}" can now be picked when queuing` : `✅ ${arg1} ~ "${value}" → ${playlist}`);
+  }
+  
+  if (action === 'remove') {
+    const index = parseInt(arg1) - 1;
+    if (!(index >= 0 && index < playlistConfig.rules.length)) return reply('❌ No such rule. See /playlists');
+    
+    const removed = playlistConfig.rules.splice(index, 1)[0];
+    await savePlaylists();
+    return reply(`🗑️ Rule for "${removed.playlist}" removed`);
+  }
+  
+  reply('❌ Unknown action. See /playlists');
+});
+
+bot.onText(/^\/seasonplaylists(?: (on|off))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  if (match[1]) {
+    botSettings.seasonPlaylists = match[1] === 'on';
+    await saveSettings();
+  }
+  bot.sendMessage(msg.chat.id,
+    `📚 Season playlists: ${botSettings.seasonPlaylists ? 'on' : 'off'}\n\nEpisodes go into a "<series> - Season N" playlist on their channel.\nUse: /seasonplaylists <on|off>`
+  );
+});
+
+bot.onText(/^\/duplicates(?: upgrade (on|off))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  if (match[1]) {
+    botSettings.duplicates.allowUpgrade = match[1] === 'on';
+    await saveSettings();
+  }
+  bot.sendMessage(msg.chat.id,
+    `🔁 Duplicate Detection\n\n⬆️ Higher-quality re-uploads: ${botSettings.duplicates.allowUpgrade ? 'on' : 'off'}\n⏭️ Skipped so far: ${analytics.duplicatesSkipped}\n\n` +
+    `Movies match by page URL, or by title and year with quality, language and subtitle tags ignored.\nUse: /duplicates upgrade <on|off>`
+  );
+});
+
+bot.onText(/^\/cache(?: (clear))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  if (match[1]) {
+    const removed = await pruneApiCache(true);
+    return bot.sendMessage(msg.chat.id, `🧹 Cleared ${removed} cached API response(s)`);
   }
+  
+  const summary = await getApiCacheSummary();
+  const stats = getApiCacheStats();
+  const methods = Object.entries(analytics.apiCache || {})
+    .map(([method, counts]) => `• ${method}: ${counts.hits} hits / ${counts.misses} misses (TTL ${formatDuration(API_CACHE_TTL[method])})`)
+    .join('\n');
+  
+  bot.sendMessage(msg.chat.id,
+    `🗃️ API Cache\n\n📦 ${summary.entries} entries, ${formatBytes(summary.bytes)}\n🎯 Hit rate: ${stats.rate}% (${stats.hits}/${stats.hits + stats.misses})\n` +
+    (methods ? `\n${methods}\n` : '') +
+    `\nUse: /cache clear`
+  );
+});
+
+bot.onText(/^\/alerts(?: (\w+))?(?: (\S+))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  const [, action, value] = match;
+  const { alerts } = botSettings;
+  const reply = (text) => bot.sendMessage(msg.chat.id, text);
+  
+  if (action === 'mute' || action === 'unmute') {
+    if (action === 'unmute' && value === 'all') {
+      alerts.muted = [];
+    } else if (!ALERT_TYPES[value]) {
+      return reply(`❌ Use: /alerts ${action} <${Object.keys(ALERT_TYPES).join('|')}${action === 'unmute' ? '|all' : ''}>`);
+    } else if (action === 'mute') {
+      if (!alerts.muted.includes(value)) alerts.muted.push(value);
+    } else {
+      alerts.muted = alerts.muted.filter(type => type !== value);
+    }
+  } else if (action === 'snooze') {
+    // "90", "2h" or "off"
+    const duration = String(value || '').match(/^(\d+)(h|m)?$/);
+    if (value === 'off') {
+      alerts.snoozedUntil = null;
+    } else if (!duration) {
+      return reply('❌ Use: /alerts snooze <minutes|2h|off>');
+    } else {
+      alerts.snoozedUntil = Date.now() + parseInt(duration[1]) * (duration[2] === 'h' ? 60 : 1) * 60 * 1000;
+    }
+  } else if (action === 'digest') {
+    if (value === 'off') {
+      alerts.digest = null;
+    } else if (/^([01]?\d|2[0-3]):[0-5]\d$/.test(value || '')) {
+      alerts.digest = value;
+    } else {
+      return reply('❌ Use: /alerts digest <HH:MM|off>');
+    }
+    scheduleDigest();
+  } else if (action) {
+    return reply('❌ Use: /alerts [mute|unmute|snooze|digest] <value>');
+  }
+  
+  if (action) await saveSettings();
+  
+  const snoozed = alerts.snoozedUntil && Date.now() < alerts.snoozedUntil;
+  const lines = Object.entries(ALERT_TYPES).map(([type, label]) => `${alerts.muted.includes(type) ? '🔇' : '🔔'} ${type} - ${label}`);
+  reply(
+    `🚨 Admin Alerts\n\n${lines.join('\n')}\n\n` +
+    `🔕 Snoozed: ${snoozed ? `until ${new Date(alerts.snoozedUntil).toLocaleString()}` : 'no'}\n` +
+    `📰 Daily digest: ${alerts.digest || 'off'}\n\n` +
+    'Use: /alerts mute <type>, /alerts unmute <type|all>, /alerts snooze <minutes|2h|off>, /alerts digest <HH:MM|off>, /digest to get it now'
+  );
+});
+
+bot.onText(/^\/digest$/, async (msg) => {
+  if (!isAdmin(msg)) return;
+  await sendDigest(msg.chat.id);
+});
+
+bot.onText(/^\/report(?: (\d+|all))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  await sendEventsReport(msg.chat.id, match[1] === 'all' ? null : parseInt(match[1] || '30'));
+});
+
+bot.onText(/^\/history(?: (.+))?$/, async (msg, match) => {
+  if (!isAdmin(msg)) return;
+  
+  // The search is kept in the session so page buttons stay short
+  const session = getUserSession(msg.from.id);
+  session.historyQuery = match[1] ? match[1].trim() : null;
+  await sendHistoryView(msg.chat.id, session, 0);
+});
+
+bot.onText(/^\/categories$/, async (msg) => {
+  if (!isAdmin(msg)) return;
+  
+  const lines = Object.entries(YOUTUBE_CATEGORIES).map(([id, name]) => `${id} - ${name}`);
+  bot.sendMessage(msg.chat.id, `📂 YouTube Categories\n\n${lines.join('\n')}\n\nUse: /template_set <name> category <id or name>`);
 });
 
 // ============================================
@@ -349,13 +2360,36 @@ bot.onText(/\/reauth/, async (msg) => {
 // ============================================
 
 bot.on('callback_query', async (query) => {
-  const { message: msg, data, from } = query;
+  const { message: msg, from } = query;
+  let { data } = query;
   if (!isAdmin(query)) return bot.answerCallbackQuery(query.id, { text: '❌ Admin only!' });
   
-  bot.answerCallbackQuery(query.id);
   const session = getUserSession(from.id);
+  
+  // A query can be answered only once: branches with their own toast answer
+  // through answerQuery, every other tap gets the plain answer once handled
+  let answered = false;
+  const answerQuery = (text) => {
+    answered = true;
+    return bot.answerCallbackQuery(query.id, { text }).catch(() => {});
+  };
 
   try {
+    // Selection buttons carry their own state, so old messages and restarts don't
+    // act on whatever was searched last
+    const contextMatch = data.match(/^(.+)@(\w+)$/);
+    if (contextMatch) {
+      const context = getCallbackContext(contextMatch[2]);
+      if (!context) return answerQuery('⌛ This button has expired, please search again');
+      try {
+        await restoreCallbackContext(session, context);
+      } catch (error) {
+        console.error('❌ Could not restore button context:', error.message);
+        return bot.sendMessage(msg.chat.id, `❌ Could not reload this selection: ${error.message}\n\nPlease search again.`);
+      }
+      data = contextMatch[1];
+    }
+    
     if (data === 'main_menu') {
       await bot.editMessageText('*🏠 Main Menu*', {
         chat_id: msg.chat.id, message_id: msg.message_id,
@@ -375,7 +2409,7 @@ bot.on('callback_query', async (query) => {
       const movie = session.searchResults[index];
       
       if (!movie) {
-        return bot.answerCallbackQuery(query.id, { text: '❌ Movie not found' });
+        return answerQuery('❌ Movie not found');
       }
       
       session.selectedMovie = movie;
@@ -391,21 +2425,22 @@ bot.on('callback_query', async (query) => {
           { chat_id: msg.chat.id, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
         );
         
-        const infoUrl = `https://api-dark-shan-yt.koyeb.app/movie/cinesubz-info?url=${encodeURIComponent(movie.link)}&apikey=${API_KEY}`;
-        const response = await axios.get(infoUrl);
+        const movieData = await fetchMovieInfo(movie.link);
         
         await bot.editMessageText(
           `⏳ *Fetching Movie Details*\n\n${getProgressBar(60)} 60%\n\nProcessing response...`,
           { chat_id: msg.chat.id, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
         );
         
-        if (!response.data.status || !response.data.data) {
-          throw new Error('Failed to fetch movie details');
-        }
-        
-        const movieData = response.data.data;
         session.movieData = movieData;
         
+        const series = buildSeries(movieData, movie.link, movie.image);
+        if (series) {
+          session.series = series;
+          await bot.deleteMessage(msg.chat.id, loadingMsg.message_id);
+          return sendSeriesSeasons(msg.chat.id, session);
+        }
+        
         await bot.editMessageText(
           `⏳ *Fetching Movie Details*\n\n${getProgressBar(90)} 90%\n\nPreparing display...`,
           { chat_id: msg.chat.id, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
@@ -419,16 +2454,17 @@ bot.on('callback_query', async (query) => {
         message += `🎥 ${movieData.directors}\n\n`;
         message += `📥 *Select Quality:*\n`;
         
+        const contextId = registerCallbackContext(session);
         const qualityButtons = movieData.downloads.map((download, idx) => [{
           text: `${download.quality} - ${download.size}`,
-          callback_data: `download_${idx}`
+          callback_data: contextData(`download_${idx}`, contextId)
         }]);
         
         await bot.deleteMessage(msg.chat.id, loadingMsg.message_id);
         
         const moviePoster = movie.image || movieData.image;
         
-        if (moviePoster && moviePoster !== 'https://cinesubz.lk/wp-content/themes/zetaflix/assets/img/no/zt_backdrop.png') {
+        if (moviePoster && moviePoster !== NO_POSTER_URL) {
           await bot.sendPhoto(msg.chat.id, moviePoster, {
             caption: message,
             parse_mode: 'Markdown',
@@ -450,28 +2486,157 @@ bot.on('callback_query', async (query) => {
       }
     }
     
+    else if (data === 'series_seasons') {
+      if (!session.series) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      await sendSeriesSeasons(msg.chat.id, session, msg.message_id);
+    }
+    
+    else if (/^season_\d+$/.test(data)) {
+      const season = session.series?.seasons.find(s => s.number === parseInt(data.split('_')[1]));
+      if (!season) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      const text = `📺 *${session.series.title}*\n\n📚 Season ${season.number} - ${season.episodes.length} episode(s)\n\nPick an episode or queue the whole season:`;
+      await bot.editMessageText(text, {
+        chat_id: msg.chat.id, message_id: msg.message_id,
+        parse_mode: 'Markdown', reply_markup: keyboards.episodes(session.series, season, registerCallbackContext(session))
+      });
+    }
+    
+    else if (data.startsWith('episode_')) {
+      const [, seasonNumber, episodeNumber] = data.split('_').map(Number);
+      const found = findEpisode(session, seasonNumber, episodeNumber);
+      if (!found) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      const loadingMsg = await bot.sendMessage(msg.chat.id, 
+        `⏳ *Fetching Episode Details*\n\n${getProgressBar(30)} 30%\n\nRequesting episode info...`, 
+        { parse_mode: 'Markdown' }
+      );
+      
+      try {
+        const info = await fetchMovieInfo(found.episode.link);
+        const movieData = buildEpisodeMovieData(session.series, found.season, found.episode, info);
+        if (!movieData.downloads?.length) throw new Error('No downloads for this episode');
+        
+        session.movieData = movieData;
+        session.selectedMovie = {
+          title: movieData.title,
+          link: getEpisodeKey(session.series.link, seasonNumber, episodeNumber),
+          image: session.series.image,
+          season: seasonNumber
+        };
+        const contextId = registerCallbackContext(session);
+        
+        await bot.editMessageText(
+          `🎬 *${movieData.title}*\n\n📥 *Select Quality:*`,
+          {
+            chat_id: msg.chat.id, message_id: loadingMsg.message_id, parse_mode: 'Markdown',
+            reply_markup: {
+              inline_keyboard: [
+                ...movieData.downloads.map((download, idx) => [{ text: `${download.quality} - ${download.size}`, callback_data: contextData(`download_${idx}`, contextId) }]),
+                [{ text: '🔙 Episodes', callback_data: contextData(`season_${seasonNumber}`, contextId) }]
+              ]
+            }
+          }
+        );
+      } catch (error) {
+        console.error('Episode fetch error:', error.message);
+        bot.editMessageText('❌ Error fetching episode details.', {
+          chat_id: msg.chat.id,
+          message_id: loadingMsg.message_id
+        });
+      }
+    }
+    
+    else if (data.startsWith('season_all_')) {
+      const season = session.series?.seasons.find(s => s.number === parseInt(data.substring('season_all_'.length)));
+      if (!season) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      // Episodes of a season share their qualities, so the first one decides the choices
+      try {
+        const info = await fetchMovieInfo(season.episodes[0].link);
+        session.seasonQualities = (info.downloads || []).map(download => download.quality);
+      } catch (error) {
+        return bot.sendMessage(msg.chat.id, `❌ Error fetching episode details: ${error.message}`);
+      }
+      if (session.seasonQualities.length === 0) {
+        return bot.sendMessage(msg.chat.id, '❌ No downloads found for this season');
+      }
+      const contextId = registerCallbackContext(session);
+      
+      await bot.editMessageText(
+        `📦 *Queue Season ${season.number}*\n\n🎬 ${session.series.title}\n📺 ${season.episodes.length} episode(s)\n\n*Select Quality:*`,
+        {
+          chat_id: msg.chat.id, message_id: msg.message_id, parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              ...session.seasonQualities.map((quality, idx) => [{ text: quality, callback_data: contextData(`season_quality_${season.number}_${idx}`, contextId) }]),
+              [{ text: '🔙 Episodes', callback_data: contextData(`season_${season.number}`, contextId) }]
+            ]
+          }
+        }
+      );
+    }
+    
+    else if (data.startsWith('season_quality_')) {
+      const [seasonNumber, qualityIndex] = data.substring('season_quality_'.length).split('_').map(Number);
+      const quality = session.seasonQualities?.[qualityIndex];
+      if (!quality || !session.series?.seasons.some(s => s.number === seasonNumber)) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: msg.chat.id, message_id: msg.message_id }).catch(() => {});
+      await queueSeason(msg.chat.id, session, seasonNumber, quality);
+    }
+    
     else if (data.startsWith('download_')) {
       const index = parseInt(data.split('_')[1]);
       const download = session.movieData?.downloads[index];
       
       if (!download) {
-        return bot.answerCallbackQuery(query.id, { text: '❌ Invalid selection' });
+        return answerQuery('❌ Invalid selection');
       }
       
       const movieData = session.movieData;
       
-      if (isAlreadyProcessed(session.selectedMovie.link)) {
+      const duplicate = findDuplicate({ movieUrl: session.selectedMovie.link, title: movieData.title, year: movieData.year });
+      if (duplicate && isQualityUpgrade(duplicate, download.quality)) {
+        await bot.sendMessage(msg.chat.id, `⬆️ *Quality Upgrade*\n\n${duplicate.quality} → ${download.quality}\n${formatDuplicate(duplicate)}`, {
+          parse_mode: 'Markdown', disable_web_page_preview: true
+        });
+      } else if (duplicate) {
+        const heading = duplicate.where === 'queue' ? 'Already Queued' : 'Already Processed';
         return bot.sendMessage(msg.chat.id, 
-          `⚠️ *Already Processed*\n\n🎬 ${movieData.title}\n\nThis movie was already uploaded to YouTube.\n\n*Do you want to repost it?*`,
-          { parse_mode: 'Markdown', reply_markup: keyboards.alreadyProcessed(session.selectedMovie.link) }
+          `⚠️ *${heading}*\n\n🎬 ${movieData.title}\n\n${formatDuplicate(duplicate)}\n\n*Do you want to repost it?*`,
+          { parse_mode: 'Markdown', disable_web_page_preview: true, reply_markup: keyboards.alreadyProcessed(registerCallbackContext(session)) }
         );
       }
       
       await fetchDownloadLinksAndQueue(msg.chat.id, session, download, movieData);
     }
 
-    else if (data.startsWith('repost_confirm_')) {
+    else if (data === 'duplicate_skip') {
+      analytics.duplicatesSkipped++;
+      await bot.editMessageText('*🏠 Main Menu*', {
+        chat_id: msg.chat.id, message_id: msg.message_id,
+        parse_mode: 'Markdown', reply_markup: keyboards.main()
+      });
+    }
+    
+    else if (data === 'repost_confirm') {
       const movieData = session.movieData;
+      if (!movieData?.downloads) {
+        return answerQuery('❌ Selection expired');
+      }
+      const contextId = registerCallbackContext(session);
       
       bot.sendMessage(msg.chat.id, 
         `🔄 *Reposting Movie*\n\n🎬 ${movieData.title}\n\nSelect quality to repost:`,
@@ -480,7 +2645,7 @@ bot.on('callback_query', async (query) => {
           reply_markup: {
             inline_keyboard: movieData.downloads.map((d, idx) => [{
               text: `${d.quality} - ${d.size}`,
-              callback_data: `repost_quality_${idx}`
+              callback_data: contextData(`repost_quality_${idx}`, contextId)
             }])
           }
         }
@@ -490,9 +2655,11 @@ bot.on('callback_query', async (query) => {
     else if (data.startsWith('repost_quality_')) {
       const index = parseInt(data.split('_')[2]);
       const download = session.movieData?.downloads[index];
-      const movieData = session.movieData;
+      if (!download) {
+        return answerQuery('❌ Invalid selection');
+      }
       
-      await fetchDownloadLinksAndQueue(msg.chat.id, session, download, movieData, true);
+      await fetchDownloadLinksAndQueue(msg.chat.id, session, download, session.movieData, true);
     }
     
     else if (data.startsWith('source_')) {
@@ -500,84 +2667,229 @@ bot.on('callback_query', async (query) => {
       const selectedSource = session.downloadData?.download[index];
       
       if (!selectedSource) {
-        return bot.answerCallbackQuery(query.id, { text: '❌ Invalid source' });
+        return answerQuery('❌ Invalid source');
+      }
+      
+      session.pendingSource = selectedSource;
+      session.pendingTemplate = pickTemplateName(session.movieData);
+      session.pendingPrivacy = botSettings.defaultPrivacy;
+      session.pendingPublishAt = null;
+      session.pendingChannel = pickChannel(session.movieData);
+      session.pendingPlaylist = null;
+      await sendQueuePreview(msg.chat.id, session);
+    }
+    
+    else if (data.startsWith('preview_channel_')) {
+      const channelName = data.substring('preview_channel_'.length);
+      if (!session.pendingSource || !channelConfig.channels[channelName]) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      session.pendingChannel = channelName;
+      await sendQueuePreview(msg.chat.id, session, msg.message_id);
+    }
+    
+    else if (data.startsWith('preview_playlist_')) {
+      const choice = data.substring('preview_playlist_'.length);
+      const title = /^\d+$/.test(choice) ? getPlaylistTitles()[parseInt(choice)] : null;
+      if (!session.pendingSource || (!title && choice !== 'auto' && choice !== 'none')) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      session.pendingPlaylist = title || (choice === 'none' ? 'none' : null);
+      await sendQueuePreview(msg.chat.id, session, msg.message_id);
+    }
+    
+    else if (data.startsWith('preview_privacy_')) {
+      const privacy = data.substring('preview_privacy_'.length);
+      if (!session.pendingSource || !PRIVACY_OPTIONS[privacy]) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      session.pendingPrivacy = privacy;
+      session.pendingPublishAt = null;
+      await sendQueuePreview(msg.chat.id, session, msg.message_id);
+    }
+    
+    else if (data.startsWith('preview_publish_')) {
+      if (!session.pendingSource) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      // A scheduled video stays private on YouTube until it goes public at publishAt
+      const slot = botSettings.publishSlots[parseInt(data.substring('preview_publish_'.length))];
+      session.pendingPublishAt = slot ? getNextSlotTime(slot) : null;
+      if (session.pendingPublishAt) session.pendingPrivacy = 'public';
+      await sendQueuePreview(msg.chat.id, session, msg.message_id);
+    }
+    
+    else if (data.startsWith('preview_tpl_')) {
+      const templateName = data.substring('preview_tpl_'.length);
+      if (!session.pendingSource || !metadataTemplates.templates[templateName]) {
+        return answerQuery('❌ Selection expired');
+      }
+      
+      session.pendingTemplate = templateName;
+      await sendQueuePreview(msg.chat.id, session, msg.message_id);
+    }
+    
+    else if (data === 'confirm_queue') {
+      if (!session.pendingSource) {
+        return answerQuery('❌ Selection expired');
       }
       
       const movieData = session.movieData;
       const downloadData = session.downloadData;
+      const selectedSource = session.pendingSource;
       
-      const taskId = Date.now().toString();
+      // The preview restores its own context, so a second tap would queue it again
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: msg.chat.id, message_id: msg.message_id }).catch(() => {});
+      if (videoQueue.some(item => item.movieUrl === session.selectedMovie.link && item.download.quality === downloadData.title)) {
+        return answerQuery('⚠️ Already in the queue');
+      }
       
-      videoQueue.push({
-        taskId: taskId,
+      videoQueue.push(buildQueueItem({
         chatId: msg.chat.id,
-        movieUrl: session.selectedMovie.link,
-        movieData: movieData,
-        download: {
-          quality: downloadData.title,
-          size: downloadData.size,
-          link: selectedSource.url
-        },
-        source: selectedSource.name,
-        status: 'pending',
-        addedAt: Date.now(),
-        paused: false,
-        cancelled: false
-      });
+        movie: session.selectedMovie,
+        movieData,
+        download: session.selectedDownload,
+        downloadData,
+        source: selectedSource,
+        templateName: session.pendingTemplate,
+        privacy: session.pendingPrivacy,
+        publishAt: session.pendingPublishAt,
+        channel: session.pendingChannel,
+        playlist: session.pendingPlaylist
+      }));
+      saveQueue();
+      session.pendingSource = null;
       
       bot.sendMessage(msg.chat.id, 
-        `✅ *Added to Queue*\n\n🎬 ${movieData.title}\n💾 ${downloadData.size}\n📦 Source: ${selectedSource.name.toUpperCase()}`,
+        `✅ *Added to Queue*\n\n🎬 ${movieData.title}\n💾 ${downloadData.size}\n📦 Source: ${selectedSource.name.toUpperCase()}\n📝 Template: ${session.pendingTemplate}\n📡 Channel: ${session.pendingChannel}\n${formatPublishing(session.pendingPrivacy, session.pendingPublishAt)}`,
         { parse_mode: 'Markdown', reply_markup: keyboards.main() }
       );
       
-      if (!videoQueue.some(v => v.status === 'processing')) {
-        processQueue();
-      }
+      processQueue();
     }
     
+    // Task controls carry the task ID, so buttons on old messages act on their own item
     else if (data.startsWith('pause_')) {
-      if (currentProcessing) {
-        currentProcessing.paused = true;
-        bot.answerCallbackQuery(query.id, { text: '⏸️ Task paused' });
-      }
+      const task = videoQueue.find(v => v.taskId === data.substring('pause_'.length));
+      if (!task) return answerQuery('❌ Task is no longer in the queue');
+      
+      task.paused = true;
+      saveQueue();
+      // Pending items are held back and skipped until resumed
+      answerQuery(isActiveTask(task) ? '⏸️ Task paused' : '✋ Task on hold');
     }
 
     else if (data.startsWith('resume_')) {
-      if (currentProcessing) {
-        currentProcessing.paused = false;
-        bot.answerCallbackQuery(query.id, { text: '▶️ Task resumed' });
-        processQueue();
-      }
+      const task = videoQueue.find(v => v.taskId === data.substring('resume_'.length));
+      if (!task) return answerQuery('❌ Task is no longer in the queue');
+      
+      task.paused = false;
+      saveQueue();
+      answerQuery('▶️ Task resumed');
+      processQueue();
     }
 
     else if (data.startsWith('cancel_')) {
-      if (currentProcessing) {
-        currentProcessing.cancelled = true;
-        bot.answerCallbackQuery(query.id, { text: '❌ Task cancelled' });
+      const task = videoQueue.find(v => v.taskId === data.substring('cancel_'.length));
+      if (!task) return answerQuery('❌ Task is no longer in the queue');
+      
+      task.cancelled = true;
+      if (!isActiveTask(task)) {
+        // Nothing is running for it, so drop it right away instead of waiting for a worker
+        videoQueue.splice(videoQueue.indexOf(task), 1);
+        await finishCancelledTask(task);
       }
+      saveQueue();
+      answerQuery('❌ Task cancelled');
     }
     
     else if (data === 'view_queue') {
-      if (videoQueue.length === 0) {
-        await bot.editMessageText('📭 *Queue Empty*', {
+      await sendQueueView(msg.chat.id, msg.message_id);
+    }
+    
+    else if (data === 'queue_pause_all' || data === 'queue_resume_all') {
+      const paused = data === 'queue_pause_all';
+      const count = setQueuePaused(paused);
+      saveQueue();
+      if (!paused) processQueue();
+      
+      answerQuery(paused ? `⏸️ Paused ${count} item(s)` : `▶️ Resumed ${count} item(s)`);
+      await sendQueueView(msg.chat.id, msg.message_id);
+    }
+    
+    else if (data === 'queue_clear_failed') {
+      const count = await clearFailedItems();
+      
+      answerQuery(`🧹 Cleared ${count} failed item(s)`);
+      await sendQueueView(msg.chat.id, msg.message_id);
+    }
+    
+    else if (data.startsWith('queue_item_')) {
+      const item = videoQueue.find(v => v.taskId === data.substring('queue_item_'.length));
+      if (!item) {
+        return answerQuery('❌ Item is no longer in the queue');
+      }
+      
+      await sendQueueItemView(msg.chat.id, item, msg.message_id);
+    }
+    
+    else if (/^queue_(up|down|top)_/.test(data)) {
+      const [, direction, taskId] = data.match(/^queue_(up|down|top)_(.+)$/);
+      const item = videoQueue.find(v => v.taskId === taskId);
+      if (!item) {
+        return answerQuery('❌ Item is no longer in the queue');
+      }
+      
+      if (moveQueueItem(item, direction)) saveQueue();
+      await sendQueueItemView(msg.chat.id, item, msg.message_id);
+    }
+    
+    else if (data.startsWith('queue_prio_')) {
+      const [, level, taskId] = data.match(/^queue_prio_([a-z]+)_(.+)$/) || [];
+      const item = videoQueue.find(v => v.taskId === taskId);
+      if (!item || !PRIORITY_LEVELS[level]) {
+        return answerQuery('❌ Item is no longer in the queue');
+      }
+      
+      item.priority = level;
+      saveQueue();
+      await sendQueueItemView(msg.chat.id, item, msg.message_id);
+    }
+    
+    else if (data.startsWith('queue_remove_')) {
+      const removed = videoQueue.find(v => v.taskId === data.substring('queue_remove_'.length));
+      if (!removed) {
+        return answerQuery('❌ Item is no longer in the queue');
+      }
+      
+      await removeQueueItem(removed);
+      await bot.editMessageText(`✅ *Removed*\n\n${removed.movieData.title}`, {
+        chat_id: msg.chat.id, message_id: msg.message_id,
+        parse_mode: 'Markdown', reply_markup: { inline_keyboard: [[{ text: '🔙 Queue', callback_data: 'view_queue' }]] }
+      });
+    }
+    
+    else if (data === 'view_failed') {
+      if (deadLetters.length === 0) {
+        await bot.editMessageText('🪦 *No Failed Items*', {
           chat_id: msg.chat.id, message_id: msg.message_id, parse_mode: 'Markdown',
-          reply_markup: { inline_keyboard: [[{ text: '🔍 Search', callback_data: 'search_movie' }]] }
+          reply_markup: { inline_keyboard: [[{ text: '🔙 Back', callback_data: 'main_menu' }]] }
         });
       } else {
-        let text = `📋 *Queue* (${videoQueue.length})\n\n`;
+        let text = `🪦 *Failed Items* (${deadLetters.length})\n\n`;
         const buttons = [];
         
-        videoQueue.forEach((item, i) => {
-          let status = '⏸️';
-          if (item.status === 'processing') status = item.paused ? '⏸️' : '⏳';
-          else if (item.status === 'completed') status = '✅';
-          else if (item.cancelled) status = '❌';
-          
-          text += `${status} ${i + 1}. ${(item.movieData.title || 'Processing...').substring(0, 30)}...\n`;
-          buttons.push([{ text: `${i + 1}. ${(item.movieData.title || '...').substring(0, 20)}`, callback_data: `queue_item_${i}` }]);
+        deadLetters.slice(0, 20).forEach((entry, i) => {
+          text += `❌ ${i + 1}. ${entry.movieData.title.substring(0, 30)}... (${entry.failedStage})\n`;
+          buttons.push([{ text: `${i + 1}. ${entry.movieData.title.substring(0, 20)}`, callback_data: `failed_item_${entry.taskId}` }]);
         });
         
-        buttons.push([{ text: '🔄 Refresh', callback_data: 'view_queue' }, { text: '🔙 Back', callback_data: 'main_menu' }]);
+        buttons.push([{ text: '🔄 Requeue All', callback_data: 'failed_requeue_all' }, { text: '🗑️ Clear All', callback_data: 'failed_clear' }]);
+        buttons.push([{ text: '🔙 Back', callback_data: 'main_menu' }]);
         await bot.editMessageText(text, {
           chat_id: msg.chat.id, message_id: msg.message_id,
           parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons }
@@ -585,65 +2897,159 @@ bot.on('callback_query', async (query) => {
       }
     }
     
-    else if (data.startsWith('queue_item_')) {
-      const index = parseInt(data.split('_')[2]);
-      const item = videoQueue[index];
-      if (item) {
-        await bot.editMessageText(
-          `🎬 *Queue #${index + 1}*\n\n` +
-          `📝 ${item.movieData.title}\n` +
-          `💾 Size: ${item.download.size}\n` +
-          `📦 Source: ${item.source || 'N/A'}\n` +
-          `📊 Status: ${item.status}${item.paused ? ' (Paused)' : ''}${item.cancelled ? ' (Cancelled)' : ''}\n` +
-          `⏰ ${new Date(item.addedAt).toLocaleTimeString()}`,
-          {
-            chat_id: msg.chat.id, message_id: msg.message_id,
-            parse_mode: 'Markdown', reply_markup: keyboards.queueItem(index)
-          }
-        );
+    else if (data.startsWith('failed_item_')) {
+      const taskId = data.substring('failed_item_'.length);
+      const entry = deadLetters.find(e => e.taskId === taskId);
+      if (!entry) {
+        return answerQuery('❌ Item not found');
+      }
+      
+      await bot.editMessageText(
+        `🪦 *Failed Item*\n\n` +
+        `📝 ${entry.movieData.title}\n` +
+        `💾 Size: ${entry.download.size}\n` +
+        `📦 Source: ${entry.source || 'N/A'}\n` +
+        `🧭 Stage: ${entry.failedStage}\n` +
+        `🔁 Attempts: ${entry.attempts ? entry.attempts[entry.failedStage] : 1}\n` +
+        `❌ ${entry.error}\n` +
+        `⏰ ${new Date(entry.failedAt).toLocaleString()}`,
+        {
+          chat_id: msg.chat.id, message_id: msg.message_id,
+          parse_mode: 'Markdown', reply_markup: keyboards.failedItem(taskId)
+        }
+      );
+    }
+    
+    else if (data === 'failed_requeue_all' || data.startsWith('failed_requeue_')) {
+      const taskIds = data === 'failed_requeue_all'
+        ? deadLetters.map(e => e.taskId)
+        : [data.substring('failed_requeue_'.length)];
+      const requeued = taskIds.map(requeueDeadLetter).filter(Boolean);
+      
+      if (requeued.length === 0) {
+        return answerQuery('❌ Item not found');
+      }
+      
+      await saveDeadLetters();
+      await saveQueue();
+      
+      bot.sendMessage(msg.chat.id, `🔄 *Requeued ${requeued.length} item(s)*`, { parse_mode: 'Markdown', reply_markup: keyboards.main() });
+      
+      processQueue();
+    }
+    
+    else if (data === 'failed_clear' || data.startsWith('failed_delete_')) {
+      const taskId = data.substring('failed_delete_'.length);
+      const removed = data === 'failed_clear'
+        ? [...deadLetters]
+        : deadLetters.filter(e => e.taskId === taskId);
+      deadLetters = deadLetters.filter(e => !removed.includes(e));
+      
+      for (const entry of removed) {
+        await removeCachedVideo(path.join(CACHE_DIR, `${entry.taskId}.mp4`));
       }
+      await saveDeadLetters();
+      
+      await bot.editMessageText(`🗑️ *Removed ${removed.length} failed item(s)*`, {
+        chat_id: msg.chat.id, message_id: msg.message_id, parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: [[{ text: '🔙 Failed List', callback_data: 'view_failed' }]] }
+      });
     }
     
-    else if (data.startsWith('queue_remove_')) {
-      const index = parseInt(data.split('_')[2]);
-      const removed = videoQueue.splice(index, 1)[0];
-      if (removed.taskId === currentProcessing?.taskId) {
-        currentProcessing.cancelled = true;
+    else if (data === 'view_history') {
+      session.historyQuery = null;
+      await sendHistoryView(msg.chat.id, session, 0, msg.message_id);
+    }
+    
+    else if (data.startsWith('history_page_')) {
+      await sendHistoryView(msg.chat.id, session, parseInt(data.substring('history_page_'.length)) || 0, msg.message_id);
+    }
+    
+    else if (data.startsWith('watch_queue_') || data.startsWith('watch_skip_')) {
+      const approve = data.startsWith('watch_queue_');
+      const cardId = data.substring(approve ? 'watch_queue_'.length : 'watch_skip_'.length);
+      const card = watchlist.pending[cardId];
+      
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: msg.chat.id, message_id: msg.message_id }).catch(() => {});
+      if (!card) {
+        return answerQuery('❌ This release card has expired');
+      }
+      
+      delete watchlist.pending[cardId];
+      await saveWatchlist();
+      
+      if (!approve) {
+        return bot.sendMessage(msg.chat.id, `⏭️ Skipped ${card.movie.title}`);
+      }
+      
+      try {
+        const item = await queueRelease(card.movie, msg.chat.id);
+        bot.sendMessage(msg.chat.id,
+          `✅ *Added to Queue*\n\n🎬 ${item.movieData.title}\n💾 ${item.download.quality} - ${item.download.size}\n📦 Source: ${item.source.toUpperCase()}\n📡 Channel: ${item.channel}\n${formatPublishing(item.privacy, item.publishAt)}`,
+          { parse_mode: 'Markdown', reply_markup: keyboards.main() }
+        );
+      } catch (error) {
+        if (error.duplicate) {
+          return bot.sendMessage(msg.chat.id, `⚠️ *Duplicate Skipped*\n\n🎬 ${card.movie.title}\n\n${formatDuplicate(error.duplicate)}`, {
+            parse_mode: 'Markdown', disable_web_page_preview: true
+          });
+        }
+        console.error('Watch queue error:', error.message);
+        bot.sendMessage(msg.chat.id, `❌ Could not queue ${card.movie.title}: ${error.message}`);
       }
-      await bot.editMessageText(`✅ *Removed*\n\n${removed.movieData.title}`, {
-        chat_id: msg.chat.id, message_id: msg.message_id,
-        parse_mode: 'Markdown', reply_markup: { inline_keyboard: [[{ text: '🔙 Queue', callback_data: 'view_queue' }]] }
-      });
     }
     
     else if (data === 'analytics') {
       const uptime = Math.floor((Date.now() - analytics.startTime) / 60000);
-      const avgSize = analytics.totalMovies > 0 ? (analytics.totalSize / analytics.totalMovies).toFixed(2) : 0;
       const successRate = analytics.totalMovies > 0 ? ((analytics.successfulPosts / analytics.totalMovies) * 100).toFixed(1) : 0;
+      // Channel sizes are summed in MB
+      const channelLines = Object.entries(analytics.channels || {})
+        .map(([name, stats]) => `📡 ${name.replace(/_/g, '\\_')}: ${stats.uploads} ✅ / ${stats.failed} ❌ / ${formatBytes((stats.totalSize || 0) * 1024 * 1024)}`)
+        .join('\n');
+      const cacheStats = getApiCacheStats();
       
       await bot.editMessageText(`
-📊 *Analytics*
-
+${formatAnalytics()}
+*All time:*
 🎬 Total Movies: ${analytics.totalMovies}
 ✅ Success: ${analytics.successfulPosts}
 ❌ Failed: ${analytics.failedPosts}
 🔍 Duplicates: ${analytics.duplicatesSkipped}
 📈 Success Rate: ${successRate}%
-
-💾 Total Size: ${(analytics.totalSize / 1024).toFixed(2)} GB
-📏 Avg Size: ${avgSize} MB
-
+${channelLines ? `\n*Channels:*\n${channelLines}\n` : ''}
+🗃️ API Cache: ${cacheStats.hits} hits / ${cacheStats.misses} misses (${cacheStats.rate}%)
 ⏱️ Uptime: ${uptime} min
 📋 Queue: ${videoQueue.length}
-🗂️ History: ${processedMovies.size}
+🗂️ History: ${getPostedCount()} posted
 
 💾 Last Saved: ${analytics.lastSaved ? new Date(analytics.lastSaved).toLocaleString() : 'Never'}
       `, {
         chat_id: msg.chat.id, message_id: msg.message_id, parse_mode: 'Markdown',
-        reply_markup: { inline_keyboard: [[{ text: '🔄 Refresh', callback_data: 'analytics' }, { text: '🔙 Back', callback_data: 'main_menu' }]] }
+        reply_markup: { inline_keyboard: [[{ text: '🔄 Refresh', callback_data: 'analytics' }, { text: '📄 CSV Report', callback_data: 'analytics_report' }, { text: '🔙 Back', callback_data: 'main_menu' }]] }
       });
     }
     
+    else if (data.startsWith('alert_snooze_')) {
+      const minutes = parseInt(data.substring('alert_snooze_'.length));
+      botSettings.alerts.snoozedUntil = Date.now() + minutes * 60 * 1000;
+      await saveSettings();
+      // The query was already answered, so the confirmation goes in the chat
+      bot.sendMessage(msg.chat.id, `🔕 Alerts snoozed for ${formatDuration(minutes * 60 * 1000)}`);
+    }
+    
+    else if (data.startsWith('alert_mute_')) {
+      const type = data.substring('alert_mute_'.length);
+      if (!ALERT_TYPES[type]) return bot.sendMessage(msg.chat.id, '❌ Unknown alert type');
+      
+      if (!botSettings.alerts.muted.includes(type)) botSettings.alerts.muted.push(type);
+      await saveSettings();
+      bot.sendMessage(msg.chat.id, `🔇 ${ALERT_TYPES[type]} alerts muted. Use /alerts unmute ${type} to turn them back on`);
+    }
+    
+    else if (data === 'analytics_report') {
+      await sendEventsReport(msg.chat.id, 30);
+    }
+    
     else if (data === 'help') {
       await bot.editMessageText(`
 ❓ *Help*
@@ -653,8 +3059,21 @@ bot.on('callback_query', async (query) => {
 Example: /search Bad Newz
 
 *Commands:*
-/cancel - Stop current download/upload
-/reauth - Re-authenticate YouTube
+/cancel - Stop running downloads/uploads
+/queue - Reorder, prioritize & bulk-manage the queue
+/reauth [channel] - Re-authenticate YouTube
+/channels - Manage YouTube channels & routing
+/templates - YouTube title/description templates
+/privacy - Default privacy & publish slots
+/watch - Watchlist that queues new releases
+/playlists - Auto-add uploads to playlists by rule
+/cache - API cache stats, /cache clear to empty it
+/history [search] - Posted videos with YouTube links
+/report [days|all] - Task events as a CSV file (default 30 days)
+/alerts - Mute/snooze admin alerts, daily digest time
+/digest - Today's summary right now
+/duplicates - Duplicate matching & quality upgrades
+/seasonplaylists - Playlist per series season
 
 *Features:*
 🎬 Multiple quality options
@@ -664,6 +3083,8 @@ Example: /search Bad Newz
 📋 Queue management
 ⏸️ Pause & Resume support
 ❌ Cancel anytime
+🔁 Auto retry & source failover
+🪦 Failed list with requeue
 🔄 Repost processed movies
 💾 Persistent storage
 🔍 Duplicate detection
@@ -678,266 +3099,1563 @@ Admin: @${ADMIN_USERNAME}
       });
     }
     
-  } catch (error) {
-    console.error('Callback error:', error.message);
+  } catch (error) {
+    console.error('Callback error:', error.message);
+  } finally {
+    if (!answered) bot.answerCallbackQuery(query.id).catch(() => {});
+  }
+});
+
+// ============================================
+// HELPER: FETCH DOWNLOAD LINKS AND ADD TO QUEUE
+// ============================================
+
+async function fetchDownloadLinksAndQueue(chatId, session, download, movieData, isRepost = false) {
+  session.selectedDownload = download;
+  const fetchingMsg = await bot.sendMessage(chatId,
+    `⏳ *Fetching Download Links*\n\n${getProgressBar(0)} 0%\n\nPreparing request...`,
+    { parse_mode: 'Markdown' }
+  );
+  
+  try {
+    await bot.editMessageText(
+      `⏳ *Fetching Download Links*\n\n${getProgressBar(30)} 30%\n\nConnecting to API...`,
+      { chat_id: chatId, message_id: fetchingMsg.message_id, parse_mode: 'Markdown' }
+    );
+    
+    const downloadData = await fetchDownloadData(download.link);
+    
+    await bot.editMessageText(
+      `⏳ *Fetching Download Links*\n\n${getProgressBar(70)} 70%\n\nProcessing links...`,
+      { chat_id: chatId, message_id: fetchingMsg.message_id, parse_mode: 'Markdown' }
+    );
+    
+    await bot.editMessageText(
+      `⏳ *Fetching Download Links*\n\n${getProgressBar(100)} 100%\n\nLinks ready!`,
+      { chat_id: chatId, message_id: fetchingMsg.message_id, parse_mode: 'Markdown' }
+    );
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    let optionsMessage = `📥 *Download Options*\n\n`;
+    optionsMessage += `🎬 ${movieData.title.substring(0, 40)}...\n`;
+    optionsMessage += `💾 ${downloadData.size}\n`;
+    if (isRepost) optionsMessage += `🔄 Reposting\n`;
+    optionsMessage += `\n*Select Download Source:*\n`;
+    
+    session.downloadData = downloadData;
+    const contextId = registerCallbackContext(session);
+    
+    const sourceButtons = downloadData.download.map((src, idx) => {
+      let emoji = '📦';
+      if (src.name === 'gdrive') emoji = '📁';
+      else if (src.name === 'cloud') emoji = '☁️';
+      else if (src.name === 'pix') emoji = '🎨';
+      else if (src.name === 'telegram') emoji = '✈️';
+      
+      return [{
+        text: `${emoji} ${src.name.toUpperCase()}`,
+        callback_data: contextData(`source_${idx}`, contextId)
+      }];
+    });
+    
+    const backData = session.selectedMovie.season
+      ? contextData(`season_${session.selectedMovie.season}`, contextId)
+      : contextData(`select_${(session.searchResults || []).findIndex(movie => movie.link === session.selectedMovie.link)}`, contextId);
+    
+    await bot.deleteMessage(chatId, fetchingMsg.message_id);
+    
+    bot.sendMessage(chatId, optionsMessage, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [...sourceButtons, [{ text: '🔙 Back', callback_data: backData }]] }
+    });
+    
+  } catch (error) {
+    console.error('Download links fetch error:', error);
+    bot.editMessageText('❌ Error fetching download links.', {
+      chat_id: chatId,
+      message_id: fetchingMsg.message_id
+    });
+  }
+}
+
+// ============================================
+// HELPER: METADATA PREVIEW BEFORE QUEUING
+// ============================================
+
+async function sendQueuePreview(chatId, session, messageId = null) {
+  const previewItem = {
+    download: { quality: session.downloadData.title, size: session.downloadData.size },
+    source: session.pendingSource.name
+  };
+  const metadata = buildVideoMetadata(session.movieData, previewItem, session.pendingTemplate);
+  const playlists = getPlaylistTargets(session.movieData, { playlist: session.pendingPlaylist }, session.pendingChannel).map(target => target.title);
+  const text = `👀 YouTube Preview\n\n📡 Channel: ${session.pendingChannel}\n${formatPublishing(session.pendingPrivacy, session.pendingPublishAt)}\n` +
+    `📚 Playlists: ${playlists.join(', ') || 'none'}\n${formatMetadataPreview(metadata)}`;
+  const options = { reply_markup: keyboards.queuePreview(session, registerCallbackContext(session)) };
+  
+  if (messageId) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+}
+
+// ============================================
+// HELPER: QUEUE MANAGEMENT
+// ============================================
+
+// Batches can queue several items within one millisecond
+function createTaskId() {
+  let taskId = Date.now();
+  while (videoQueue.some(item => item.taskId === String(taskId)) || deadLetters.some(entry => entry.taskId === String(taskId))) {
+    taskId++;
+  }
+  return String(taskId);
+}
+
+// Shared by the manual confirm flow, watchlist and season batches
+function buildQueueItem({ chatId, movie, movieData, download, downloadData, source, templateName, privacy, publishAt, channel, playlist }) {
+  return {
+    taskId: createTaskId(),
+    chatId: chatId,
+    movieUrl: movie.link,
+    movieData: movieData,
+    download: {
+      quality: downloadData.title,
+      size: downloadData.size,
+      link: source.url,
+      pageLink: download?.link || null
+    },
+    source: source.name,
+    preferredSource: source.name,
+    sources: sortSources(downloadData.download),
+    triedSources: [],
+    templateName: templateName,
+    privacy: privacy || botSettings.defaultPrivacy,
+    publishAt: publishAt || null,
+    channel: channel || channelConfig.defaultChannel,
+    playlist: playlist || null,
+    subtitles: getSubtitleLinks(downloadData, movieData),
+    poster: movie.image || movieData.image || null,
+    attempts: { fetch: 0, download: 0, upload: 0 },
+    stage: null,
+    retryAt: null,
+    runs: 0,
+    priority: 'normal',
+    status: 'pending',
+    addedAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    paused: false,
+    cancelled: false
+  };
+}
+
+function getPriorityRank(item) {
+  const rank = Object.keys(PRIORITY_LEVELS).indexOf(item.priority);
+  return rank === -1 ? Object.keys(PRIORITY_LEVELS).indexOf('normal') : rank;
+}
+
+// Accepts a task ID or a 1-based queue position as shown in the list
+function findQueueItem(ref) {
+  return videoQueue.find(item => item.taskId === ref) ||
+    (/^\d{1,4}$/.test(ref) ? videoQueue[parseInt(ref) - 1] : undefined);
+}
+
+function moveQueueItem(item, direction) {
+  const index = videoQueue.indexOf(item);
+  const target = direction === 'top' ? 0 : direction === 'up' ? index - 1 : index + 1;
+  if (index === -1 || target < 0 || target >= videoQueue.length || target === index) return false;
+  
+  videoQueue.splice(index, 1);
+  videoQueue.splice(target, 0, item);
+  return true;
+}
+
+// Running items pause, waiting items are held back
+function setQueuePaused(paused) {
+  const changed = videoQueue.filter(item => !item.cancelled && item.paused !== paused);
+  changed.forEach(item => { item.paused = paused; });
+  return changed.length;
+}
+
+// Removing cancels the task: a running one is stopped and cleaned up by its worker,
+// a waiting one is dropped together with its cached download and upload session
+async function removeQueueItem(item) {
+  videoQueue.splice(videoQueue.indexOf(item), 1);
+  item.cancelled = true;
+  if (!isActiveTask(item)) await finishCancelledTask(item);
+  await saveQueue();
+}
+
+// Failed items live in the dead-letter list; queued items with an error are still retrying or failing over
+async function clearFailedItems() {
+  const failed = deadLetters;
+  deadLetters = [];
+  
+  for (const entry of failed) {
+    await removeCachedVideo(path.join(CACHE_DIR, `${entry.taskId}.mp4`));
+  }
+  await saveDeadLetters();
+  return failed.length;
+}
+
+function getQueueStatusIcon(item) {
+  if (isActiveTask(item)) return item.paused ? '⏸️' : (item.status === 'uploading' ? '📤' : '📥');
+  if (item.cancelled) return '❌';
+  if (item.paused) return '✋';
+  if (item.status === 'ready') return '📦';
+  if (item.retryAt) return '🔁';
+  return '⏳';
+}
+
+function formatQueueList() {
+  let text = `📋 *Queue* (${videoQueue.length})\n\n`;
+  
+  videoQueue.forEach((item, i) => {
+    const priority = item.priority && item.priority !== 'normal' ? ` ${PRIORITY_LEVELS[item.priority].split(' ')[0]}` : '';
+    text += `${getQueueStatusIcon(item)} ${i + 1}. ${(item.movieData.title || 'Processing...').substring(0, 30)}...${priority}\n`;
+  });
+  return text;
+}
+
+async function sendQueueView(chatId, messageId = null) {
+  let text;
+  let buttons;
+  
+  if (videoQueue.length === 0) {
+    text = '📭 *Queue Empty*';
+    buttons = [[{ text: '🔍 Search', callback_data: 'search_movie' }]];
+  } else {
+    text = formatQueueList();
+    buttons = videoQueue.map((item, i) => [{ text: `${i + 1}. ${(item.movieData.title || '...').substring(0, 20)}`, callback_data: `queue_item_${item.taskId}` }]);
+    buttons.push(
+      [{ text: '⏸️ Pause All', callback_data: 'queue_pause_all' }, { text: '▶️ Resume All', callback_data: 'queue_resume_all' }],
+      [{ text: '🧹 Clear Failed', callback_data: 'queue_clear_failed' }],
+      [{ text: '🔄 Refresh', callback_data: 'view_queue' }, { text: '🔙 Back', callback_data: 'main_menu' }]
+    );
+  }
+  
+  const options = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons } };
+  if (messageId) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+}
+
+async function sendQueueItemView(chatId, item, messageId = null) {
+  const position = videoQueue.indexOf(item) + 1;
+  const text = `🎬 *Queue #${position}*\n\n` +
+    `📝 ${item.movieData.title}\n` +
+    `💾 Size: ${item.download.size}\n` +
+    `📦 Source: ${item.source || 'N/A'}\n` +
+    `📊 Status: ${item.status}${item.paused ? ' (Paused)' : ''}${item.cancelled ? ' (Cancelled)' : ''}\n` +
+    `🎚️ Priority: ${PRIORITY_LEVELS[item.priority] || PRIORITY_LEVELS.normal}\n` +
+    `📡 Channel: ${item.channel || channelConfig.defaultChannel}\n` +
+    `${formatPublishing(item.privacy || botSettings.defaultPrivacy, item.publishAt)}\n` +
+    (item.retryAt ? `🔁 Retry at: ${new Date(item.retryAt).toLocaleTimeString()}\n` : '') +
+    (item.error ? `❌ Last error: ${item.error}\n` : '') +
+    `🆔 ${item.taskId}\n` +
+    `⏰ ${new Date(item.addedAt).toLocaleTimeString()}`;
+  const options = { parse_mode: 'Markdown', reply_markup: keyboards.queueItem(item) };
+  
+  if (messageId) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+}
+
+// ============================================
+// HELPER: UPLOAD HISTORY
+// ============================================
+
+const HISTORY_PAGE_SIZE = 8;
+
+// One entry per finished task, newest first. Reposts and failures add entries
+// instead of replacing the earlier ones.
+function recordHistory(item, status, details = {}) {
+  uploadHistory.unshift({
+    id: item.taskId,
+    movieUrl: item.movieUrl,
+    title: item.movieData.title,
+    year: item.movieData.year || null,
+    quality: item.download.quality,
+    size: item.download.size,
+    source: item.source,
+    fileSizeMB: item.fileSizeMB || null,
+    videoId: null,
+    channel: item.channel || channelConfig.defaultChannel,
+    privacy: item.privacy,
+    publishAt: item.publishAt || null,
+    status: status,
+    error: status === 'failed' ? item.error : null,
+    queuedAt: item.addedAt,
+    startedAt: item.startedAt,
+    finishedAt: Date.now(),
+    ...details
+  });
+}
+
+// Latest successful upload of a page (or episode key); failures don't count
+function findPostedEntry(movieUrl) {
+  return uploadHistory.find(entry => entry.movieUrl === movieUrl && entry.status !== 'failed') || null;
+}
+
+function getPostedCount() {
+  return uploadHistory.filter(entry => entry.status !== 'failed').length;
+}
+
+// Release tags that differ between uploads of the same film, and the year
+const TITLE_TAG = String.raw`(?:\d{3,4}p|4k|uhd|f?hd|web-?(?:dl|rip)|blu-?ray|br-?rip|bd-?rip|hd-?rip|dvd-?rip|hdtv|hd-?cam|cam-?rip|x26[45]|h\.?26[45]|hevc|10bit|aac|dual audio|multi audio|hindi|tamil|telugu|malayalam|korean|english|dubbed|sinhala (?:subtitles?|subs?)|sinhala|subtitles?|(?:19|20)\d{2})`;
+const TITLE_TAGS = String.raw`(?:\b${TITLE_TAG}\b[\s.,_+&-]*)+`;
+// Tags only count as tags in tag positions: a bracket of nothing but tags, or a
+// run of tags that ends the title, so "English Vinglish" keeps its first word
+const BRACKETED_TAGS_PATTERN = new RegExp(String.raw`[([]\s*${TITLE_TAGS}[)\]]`, 'g');
+const TRAILING_TAGS_PATTERN = new RegExp(String.raw`(\S)(\s*[-–:]\s*|[\s._]+)(${TITLE_TAGS})$`);
+
+// "Bad Newz (2024) 1080p WEB-DL Sinhala Subtitles | සිංහල උපසිරැසි සමඟ" -> "bad newz"
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .split('|')[0]
+    .replace(/[\u0D80-\u0DFF\u200D]+/g, ' ')
+    .replace(BRACKETED_TAGS_PATTERN, ' ')
+    .trim()
+    // A lone year right after the name may be part of it ("Blade Runner 2049")
+    .replace(TRAILING_TAGS_PATTERN, (match, last, separator, tags) =>
+      !/[-–:]/.test(separator) && /^(19|20)\d{2}$/.test(tags.replace(/[\s.,_+&-]+$/, '')) ? match : last)
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Year from the movie data, else "(2024)" or a year after the name in the title
+function getTitleYear(title, year) {
+  const fromYear = String(year || '').match(/(19|20)\d{2}/);
+  if (fromYear) return fromYear[0];
+  const fromTitle = String(title || '').match(/[([]\s*((19|20)\d{2})\s*[)\]]/) || String(title || '').match(/\s((19|20)\d{2})\b/);
+  return fromTitle ? fromTitle[1] : null;
+}
+
+function getQualityRank(quality) {
+  const value = String(quality || '').toLowerCase();
+  if (/4k|uhd/.test(value)) return 2160;
+  const match = value.match(/(\d{3,4})p/);
+  return match ? parseInt(match[1]) : 0;
+}
+
+// Same page URL, or the same normalized title with no conflicting year.
+// Queued items are checked first, then uploads (failed ones don't count).
+function findDuplicate({ movieUrl, title, year }) {
+  const key = normalizeTitle(title);
+  const titleYear = getTitleYear(title, year);
+  
+  const getMatch = (otherUrl, otherTitle, otherYear) => {
+    if (movieUrl && otherUrl === movieUrl) return 'url';
+    if (key.length < 2 || !otherTitle || normalizeTitle(otherTitle) !== key) return null;
+    const otherTitleYear = getTitleYear(otherTitle, otherYear);
+    return !titleYear || !otherTitleYear || titleYear === otherTitleYear ? 'title' : null;
+  };
+  
+  for (const item of videoQueue) {
+    const match = getMatch(item.movieUrl, item.movieData.title, item.movieData.year);
+    if (match) return { where: 'queue', match, item, title: item.movieData.title, quality: item.download.quality };
+  }
+  
+  for (const entry of uploadHistory) {
+    if (entry.status === 'failed') continue;
+    const match = getMatch(entry.movieUrl, entry.title, entry.year);
+    if (match) return { where: 'history', match, entry, title: getHistoryTitle(entry), quality: entry.quality };
+  }
+  return null;
+}
+
+// Only finished uploads with a known, lower quality can be replaced
+function isQualityUpgrade(duplicate, quality) {
+  return botSettings.duplicates.allowUpgrade &&
+    duplicate.where === 'history' &&
+    getQualityRank(duplicate.quality) > 0 &&
+    getQualityRank(quality) > getQualityRank(duplicate.quality);
+}
+
+function formatDuplicate(duplicate) {
+  const matchedBy = duplicate.match === 'url' ? 'same page' : 'same title & year';
+  let text = `🔁 Matches (${matchedBy}): ${duplicate.title}`;
+  
+  if (duplicate.where === 'queue') {
+    text += `\n📋 In queue: ${duplicate.quality} · ${duplicate.item.status}`;
+  } else {
+    text += `\n${formatHistoryDetails(duplicate.entry)}`;
+  }
+  return text;
+}
+
+// Migrated entries only know their page URL
+function getHistoryTitle(entry) {
+  return entry.title || entry.movieUrl.replace(/\/+$/, '').split('/').pop();
+}
+
+// Every word has to appear in the title, URL, video ID, quality, channel or year
+function searchHistory(query) {
+  if (!query) return uploadHistory;
+  
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return uploadHistory.filter(entry => {
+    const haystack = [entry.title, entry.movieUrl, entry.videoId, entry.quality, entry.channel, entry.year]
+      .filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+}
+
+function getHistoryStatusIcon(entry) {
+  if (entry.status === 'failed') return '❌';
+  if (entry.status === 'migrated') return '📂';
+  return '✅';
+}
+
+function formatHistoryDetails(entry) {
+  const facts = [entry.quality, entry.fileSizeMB ? `${entry.fileSizeMB} MB` : entry.size, entry.channel && `📡 ${entry.channel}`]
+    .filter(Boolean).join(' · ');
+  const when = entry.finishedAt ? `📅 ${new Date(entry.finishedAt).toLocaleString()}` : '📅 Before history was kept';
+  
+  let text = `${facts ? `🎚️ ${facts}\n` : ''}${when}`;
+  if (entry.videoId) text += `\n[📺 Watch on YouTube](https://youtu.be/${entry.videoId})`;
+  if (entry.status === 'failed') text += `\n🧭 ${entry.failedStage}: ${(entry.error || 'unknown error').substring(0, 80)}`;
+  return text;
+}
+
+async function sendHistoryView(chatId, session, page, messageId = null) {
+  const query = session.historyQuery;
+  const entries = searchHistory(query);
+  const pages = Math.max(1, Math.ceil(entries.length / HISTORY_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pages - 1);
+  
+  let text;
+  if (entries.length === 0) {
+    text = query ? `📜 *History*\n\nNothing matches "${query}"` : '📜 *History*\n\nNothing uploaded yet';
+  } else {
+    text = `📜 *History*${query ? ` - "${query}"` : ''} (${entries.length})\n\n`;
+    entries.slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE).forEach((entry, i) => {
+      const year = entry.year && !String(entry.title).includes(entry.year) ? ` (${entry.year})` : '';
+      text += `${getHistoryStatusIcon(entry)} ${page * HISTORY_PAGE_SIZE + i + 1}. ${getHistoryTitle(entry).substring(0, 40)}${year}\n${formatHistoryDetails(entry)}\n\n`;
+    });
+    text += `Page ${page + 1}/${pages}`;
+  }
+  
+  const nav = [];
+  if (page > 0) nav.push({ text: '⬅️ Newer', callback_data: `history_page_${page - 1}` });
+  if (page < pages - 1) nav.push({ text: 'Older ➡️', callback_data: `history_page_${page + 1}` });
+  
+  const buttons = [];
+  if (nav.length > 0) buttons.push(nav);
+  buttons.push([{ text: '🔙 Back', callback_data: 'main_menu' }]);
+  
+  const options = { parse_mode: 'Markdown', disable_web_page_preview: true, reply_markup: { inline_keyboard: buttons } };
+  if (messageId) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+}
+
+// ============================================
+// HELPER: TV SERIES
+// ============================================
+
+// Series pages come back without downloads. Episodes are either grouped
+// per season or listed flat with a season number on each one.
+function getSeriesSeasons(data) {
+  if (Array.isArray(data.downloads) && data.downloads.length > 0) return null;
+  
+  const toEpisode = (episode, index) => ({
+    number: parseInt(episode.episode ?? episode.number) || index + 1,
+    title: episode.title || episode.name || '',
+    link: episode.link || episode.url
+  });
+  
+  let seasons = [];
+  if (Array.isArray(data.seasons)) {
+    seasons = data.seasons.map((season, i) => ({
+      number: parseInt(season.season ?? season.number) || i + 1,
+      episodes: (season.episodes || []).map(toEpisode)
+    }));
+  } else if (Array.isArray(data.episodes)) {
+    data.episodes.forEach(episode => {
+      const number = parseInt(episode.season) || 1;
+      let season = seasons.find(s => s.number === number);
+      if (!season) seasons.push(season = { number, episodes: [] });
+      season.episodes.push(toEpisode(episode, season.episodes.length));
+    });
+  }
+  
+  seasons = seasons
+    .map(season => ({ ...season, episodes: season.episodes.filter(episode => episode.link) }))
+    .filter(season => season.episodes.length > 0)
+    .sort((a, b) => a.number - b.number);
+  return seasons.length > 0 ? seasons : null;
+}
+
+// Session view of a series page; null when the page is a plain movie
+function buildSeries(movieData, link, image) {
+  const seasons = getSeriesSeasons(movieData);
+  if (!seasons) return null;
+  
+  // Plain series fields (rating, year, ...) fill in what episode pages leave out
+  const info = Object.fromEntries(Object.entries(movieData).filter(([, value]) => typeof value !== 'object'));
+  return { title: movieData.title, link, image: image || movieData.image, info, seasons };
+}
+
+function getEpisodeCode(season, episode) {
+  return `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+}
+
+// Duplicate tracking key: one entry per episode of a series, not per page URL
+function getEpisodeKey(seriesLink, season, episode) {
+  return `${seriesLink}#${getEpisodeCode(season, episode)}`;
+}
+
+// Episode info reads like a movie; series fields are added so templates can use
+// {series}, {season}, {episode} and {episodeCode}, and the title carries the number
+function buildEpisodeMovieData(series, season, episode, info) {
+  const episodeCode = getEpisodeCode(season.number, episode.number);
+  const name = episode.title && !episode.title.includes(series.title) ? ` - ${episode.title}` : '';
+  
+  return {
+    ...series.info,
+    ...info,
+    title: `${series.title} ${episodeCode}${name}`,
+    image: info.image || series.image,
+    series: series.title,
+    seriesLink: series.link,
+    season: season.number,
+    episode: episode.number,
+    episodeCode: episodeCode
+  };
+}
+
+function findEpisode(session, seasonNumber, episodeNumber) {
+  const season = session.series?.seasons.find(s => s.number === seasonNumber);
+  const episode = season?.episodes.find(e => e.number === episodeNumber);
+  return episode ? { season, episode } : null;
+}
+
+async function sendSeriesSeasons(chatId, session, messageId = null) {
+  const { series } = session;
+  const episodeCount = series.seasons.reduce((sum, season) => sum + season.episodes.length, 0);
+  const text = `📺 *${series.title}*\n\n📚 ${series.seasons.length} season(s), ${episodeCount} episode(s)\n\nSelect a season:`;
+  const options = { parse_mode: 'Markdown', reply_markup: keyboards.seasons(series, registerCallbackContext(session)) };
+  
+  if (messageId) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+}
+
+// Queues every episode of a season at one quality, skipping ones already done
+async function queueSeason(chatId, session, seasonNumber, quality) {
+  const { series } = session;
+  const season = series.seasons.find(s => s.number === seasonNumber);
+  const progressMsg = await bot.sendMessage(chatId,
+    `📦 *Queueing Season ${seasonNumber}*\n\n🎬 ${series.title}\n💾 ${quality}\n\n${getProgressBar(0)} 0%`,
+    { parse_mode: 'Markdown' }
+  );
+  
+  const result = { queued: 0, skipped: 0, failed: [] };
+  
+  for (const [i, episode] of season.episodes.entries()) {
+    const key = getEpisodeKey(series.link, season.number, episode.number);
+    
+    // With upgrades on, queueRelease compares qualities once the episode page is loaded
+    if (isInQueue(key) || (isAlreadyProcessed(key) && !botSettings.duplicates.allowUpgrade)) {
+      analytics.duplicatesSkipped++;
+      result.skipped++;
+    } else {
+      try {
+        const info = await fetchMovieInfo(episode.link);
+        const movieData = buildEpisodeMovieData(series, season, episode, info);
+        await queueRelease({ link: key, image: series.image }, chatId, { movieData, quality });
+        result.queued++;
+      } catch (error) {
+        if (error.duplicate) {
+          result.skipped++;
+        } else {
+          console.error(`❌ Could not queue ${getEpisodeCode(season.number, episode.number)}:`, error.message);
+          result.failed.push(`${getEpisodeCode(season.number, episode.number)}: ${error.message}`);
+        }
+      }
+    }
+    
+    const percent = Math.round(((i + 1) / season.episodes.length) * 100);
+    await bot.editMessageText(
+      `📦 *Queueing Season ${seasonNumber}*\n\n🎬 ${series.title}\n💾 ${quality}\n\n${getProgressBar(percent)} ${percent}%\n\nEpisode ${i + 1}/${season.episodes.length}`,
+      { chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown' }
+    ).catch(() => {});
   }
-});
+  
+  await bot.editMessageText(
+    `✅ Season ${seasonNumber} Queued\n\n🎬 ${series.title}\n💾 ${quality}\n\n` +
+    `📋 Queued: ${result.queued}\n⏭️ Already done: ${result.skipped}\n❌ Failed: ${result.failed.length}` +
+    (result.failed.length ? `\n\n${result.failed.slice(0, 10).join('\n')}` : ''),
+    { chat_id: chatId, message_id: progressMsg.message_id, reply_markup: keyboards.main() }
+  ).catch(() => {});
+}
 
 // ============================================
-// HELPER: FETCH DOWNLOAD LINKS AND ADD TO QUEUE
+// SEARCH HANDLER
 // ============================================
 
-async function fetchDownloadLinksAndQueue(chatId, session, download, movieData, isRepost = false) {
-  const fetchingMsg = await bot.sendMessage(chatId,
-    `⏳ *Fetching Download Links*\n\n${getProgressBar(0)} 0%\n\nPreparing request...`,
+async function handleSearch(chatId, userId, searchQuery) {
+  const loadingMsg = await bot.sendMessage(chatId, 
+    `🔍 *Searching*\n\n${getProgressBar(0)} 0%\n\nInitializing search...`,
     { parse_mode: 'Markdown' }
   );
   
   try {
     await bot.editMessageText(
-      `⏳ *Fetching Download Links*\n\n${getProgressBar(30)} 30%\n\nConnecting to API...`,
-      { chat_id: chatId, message_id: fetchingMsg.message_id, parse_mode: 'Markdown' }
+      `🔍 *Searching*\n\n${getProgressBar(30)} 30%\n\nQuerying API...`,
+      { chat_id: chatId, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
     );
     
-    const downloadUrl = `https://api-dark-shan-yt.koyeb.app/movie/cinesubz-download?url=${encodeURIComponent(download.link)}&apikey=${API_KEY}`;
-    const downloadResponse = await axios.get(downloadUrl);
+    const results = await searchMovies(searchQuery);
     
     await bot.editMessageText(
-      `⏳ *Fetching Download Links*\n\n${getProgressBar(70)} 70%\n\nProcessing links...`,
-      { chat_id: chatId, message_id: fetchingMsg.message_id, parse_mode: 'Markdown' }
+      `🔍 *Searching*\n\n${getProgressBar(70)} 70%\n\nProcessing results...`,
+      { chat_id: chatId, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
     );
     
-    if (!downloadResponse.data.status || !downloadResponse.data.data) {
-      throw new Error('Failed to fetch download links');
+    if (results.length === 0) {
+      bot.editMessageText('❌ No movies found for your search.', {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id
+      });
+      return;
     }
     
-    const downloadData = downloadResponse.data.data;
-    
     await bot.editMessageText(
-      `⏳ *Fetching Download Links*\n\n${getProgressBar(100)} 100%\n\nLinks ready!`,
-      { chat_id: chatId, message_id: fetchingMsg.message_id, parse_mode: 'Markdown' }
+      `🔍 *Searching*\n\n${getProgressBar(100)} 100%\n\nLoading results...`,
+      { chat_id: chatId, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
     );
     
-    await new Promise(resolve => setTimeout(resolve, 500));
+    const movies = results.slice(0, 10);
+    const session = getUserSession(userId);
+    session.searchResults = movies;
+    const contextId = registerCallbackContext(session);
     
-    let optionsMessage = `📥 *Download Options*\n\n`;
-    optionsMessage += `🎬 ${movieData.title.substring(0, 40)}...\n`;
-    optionsMessage += `💾 ${downloadData.size}\n`;
-    if (isRepost) optionsMessage += `🔄 Reposting\n`;
-    optionsMessage += `\n*Select Download Source:*\n`;
+    const keyboard = movies.map((movie, index) => [{
+      text: `${movie.title} (${movie.rating}⭐)`,
+      callback_data: contextData(`select_${index}`, contextId)
+    }]);
     
-    const sourceButtons = downloadData.download.map((src, idx) => {
-      let emoji = '📦';
-      if (src.name === 'gdrive') emoji = '📁';
-      else if (src.name === 'cloud') emoji = '☁️';
-      else if (src.name === 'pix') emoji = '🎨';
-      else if (src.name === 'telegram') emoji = '✈️';
-      
-      return [{
-        text: `${emoji} ${src.name.toUpperCase()}`,
-        callback_data: `source_${idx}`
-      }];
+    bot.editMessageText('📽️ Select a movie:', {
+      chat_id: chatId,
+      message_id: loadingMsg.message_id,
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
     });
     
-    session.downloadData = downloadData;
+  } catch (error) {
+    console.error('Search error:', error);
+    bot.editMessageText('❌ Error searching for movies. Please try again.', {
+      chat_id: chatId,
+      message_id: loadingMsg.message_id
+    });
+  }
+}
+
+// ============================================
+// WATCHLIST & NEW RELEASES
+// ============================================
+
+function isNewRelease(movie) {
+  return movie.link &&
+    !isAlreadyProcessed(movie.link) &&
+    !isInQueue(movie.link) &&
+    !watchlist.seen.includes(movie.link) &&
+    !Object.values(watchlist.pending).some(card => card.movie.link === movie.link);
+}
+
+function markReleaseSeen(movieUrl) {
+  watchlist.seen.push(movieUrl);
+  if (watchlist.seen.length > WATCH_SEEN_LIMIT) {
+    watchlist.seen = watchlist.seen.slice(-WATCH_SEEN_LIMIT);
+  }
+}
+
+// First preferred quality that matches wins, otherwise whatever the site lists first
+function pickPreferredDownload(downloads) {
+  for (const quality of botSettings.watch.qualities) {
+    const match = downloads.find(download => String(download.quality).toLowerCase().includes(quality.toLowerCase()));
+    if (match) return match;
+  }
+  return downloads[0];
+}
+
+// Resolves a search result all the way to a queue item, like the manual
+// select -> quality -> source -> confirm flow with default choices.
+// Season batches pass the episode data and the quality picked for the season.
+async function queueRelease(movie, chatId, { movieData = null, quality = null } = {}) {
+  movieData = movieData || await fetchMovieInfo(movie.link);
+  const downloads = movieData.downloads || [];
+  const download = (quality && downloads.find(d => d.quality === quality)) || pickPreferredDownload(downloads);
+  if (!download) throw new Error('No downloads available');
+  
+  const duplicate = findDuplicate({ movieUrl: movie.link, title: movieData.title, year: movieData.year });
+  if (duplicate && !isQualityUpgrade(duplicate, download.quality)) {
+    analytics.duplicatesSkipped++;
+    const error = new Error(`Already ${duplicate.where === 'queue' ? 'queued' : 'uploaded'} as ${duplicate.title}`);
+    error.duplicate = duplicate;
+    throw error;
+  }
+  
+  const downloadData = await fetchDownloadData(download.link);
+  const sources = sortSources(downloadData.download || []);
+  const source = sources.find(src => src.name === botSettings.watch.source) || sources[0];
+  if (!source) throw new Error('No download sources available');
+  
+  const item = buildQueueItem({
+    chatId,
+    movie,
+    movieData,
+    download,
+    downloadData,
+    source,
+    templateName: pickTemplateName(movieData),
+    privacy: botSettings.defaultPrivacy,
+    publishAt: null,
+    channel: pickChannel(movieData)
+  });
+  videoQueue.push(item);
+  saveQueue();
+  processQueue();
+  return item;
+}
+
+async function sendReleaseCard(movie, watch) {
+  const cardId = Date.now().toString(36) + Math.random().toString(36).substring(2, 5);
+  watchlist.pending[cardId] = { movie, query: watch.query, chatId: watch.chatId, foundAt: Date.now() };
+  
+  const text = `🆕 *New Release*\n\n🎬 ${movie.title}\n⭐ ${movie.rating || 'N/A'}\n👀 Watch: ${watch.query}`;
+  const options = { parse_mode: 'Markdown', reply_markup: keyboards.releaseCard(cardId) };
+  
+  if (movie.image && movie.image !== NO_POSTER_URL) {
+    await bot.sendPhoto(watch.chatId, movie.image, { caption: text, ...options });
+  } else {
+    await bot.sendMessage(watch.chatId, text, options);
+  }
+}
+
+async function pollWatchlist({ manual = false } = {}) {
+  if (watchPolling || watchlist.watches.length === 0) return 0;
+  if (!manual && isQuietTime(botSettings.watch.quietHours)) {
+    console.log('🌙 Quiet hours, skipping watchlist poll');
+    return 0;
+  }
+  
+  watchPolling = true;
+  let found = 0;
+  
+  try {
+    // Unanswered cards expire so their releases can come up again
+    Object.entries(watchlist.pending).forEach(([cardId, card]) => {
+      if (Date.now() - card.foundAt > WATCH_CARD_MAX_AGE) delete watchlist.pending[cardId];
+    });
     
-    await bot.deleteMessage(chatId, fetchingMsg.message_id);
+    for (const watch of watchlist.watches) {
+      try {
+        const results = await searchMovies(watch.query);
+        watch.lastChecked = Date.now();
+        
+        for (const movie of results.filter(isNewRelease)) {
+          markReleaseSeen(movie.link);
+          
+          // Search results only carry the title; with upgrades on, queueRelease
+          // decides once the quality is known
+          const duplicate = findDuplicate({ movieUrl: movie.link, title: movie.title, year: movie.year });
+          if (duplicate && !botSettings.duplicates.allowUpgrade) {
+            analytics.duplicatesSkipped++;
+            console.log(`🔁 Skipping ${movie.title}, matches ${duplicate.title}`);
+            continue;
+          }
+          found++;
+          
+          if (botSettings.watch.mode === 'auto') {
+            try {
+              const item = await queueRelease(movie, watch.chatId);
+              await bot.sendMessage(watch.chatId,
+                `🆕 *Auto-Queued*\n\n🎬 ${movie.title}\n💾 ${item.download.quality} - ${item.download.size}\n📦 Source: ${item.source.toUpperCase()}\n👀 Watch: ${watch.query}`,
+                { parse_mode: 'Markdown' }
+              );
+            } catch (error) {
+              if (error.duplicate) {
+                console.log(`🔁 Skipping ${movie.title}: ${error.message}`);
+                continue;
+              }
+              console.error(`❌ Auto-queue failed for ${movie.title}:`, error.message);
+              await sendReleaseCard(movie, watch);
+            }
+          } else {
+            await sendReleaseCard(movie, watch);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Watch "${watch.query}" failed:`, error.message);
+      }
+    }
     
-    bot.sendMessage(chatId, optionsMessage, {
-      parse_mode: 'Markdown',
-      reply_markup: { inline_keyboard: [...sourceButtons, [{ text: '🔙 Back', callback_data: `select_${session.searchResults.indexOf(session.selectedMovie)}` }]] }
-    });
+    if (found > 0) console.log(`👀 Watchlist found ${found} new release(s)`);
+  } finally {
+    watchPolling = false;
+    await saveWatchlist();
+  }
+  
+  return found;
+}
+
+function startWatchPoller() {
+  clearInterval(watchTimer);
+  watchTimer = setInterval(() => {
+    pollWatchlist().catch(error => console.error('❌ Watchlist poll error:', error.message));
+  }, botSettings.watch.interval * 60 * 1000);
+}
+
+// ============================================
+// QUEUE & PROCESSING
+// ============================================
+
+// Items move pending -> downloading -> ready -> uploading. Downloads and uploads
+// run in separate pools, so the next movie downloads while the previous one uploads.
+function processQueue() {
+  const now = Date.now();
+  const isDue = (item) => !item.cancelled && !item.paused && (!item.retryAt || item.retryAt <= now);
+  const countStatus = (status) => videoQueue.filter(item => item.status === status).length;
+  // sort is stable, so queue order breaks ties within a priority level
+  const pickNext = (status) => videoQueue
+    .filter(item => item.status === status && isDue(item))
+    .sort((a, b) => getPriorityRank(a) - getPriorityRank(b))[0];
+  
+  let uploading = countStatus('uploading');
+  while (uploading < MAX_CONCURRENT_UPLOADS) {
+    const next = pickNext('ready');
+    if (!next) break;
+    runTaskStage(next, 'uploading', runUploadStage);
+    uploading++;
+  }
+  
+  // Only download ahead as far as the upload pool can absorb, so finished files don't pile up on disk.
+  // Held, paused and retry-delayed files can't be uploaded yet, so they don't block new downloads.
+  const readyCount = () => videoQueue.filter(item => item.status === 'ready' && isDue(item)).length;
+  let downloading = countStatus('downloading');
+  while (downloading < MAX_CONCURRENT_DOWNLOADS && readyCount() < MAX_CONCURRENT_UPLOADS) {
+    const next = pickNext('pending');
+    if (!next) break;
+    runTaskStage(next, 'downloading', runDownloadStage);
+    downloading++;
+  }
+  
+  scheduleRetryWakeup();
+}
+
+function isActiveTask(item) {
+  return ACTIVE_STATUSES.includes(item.status);
+}
+
+function isCancelError(error) {
+  return error.message === 'Task cancelled by user' || axios.isCancel(error);
+}
+
+// Runs one stage of an item and settles it. Stage functions return true when
+// the item is done and leaves the queue.
+async function runTaskStage(item, status, runStage) {
+  item.status = status;
+  item.retryAt = null;
+  if (status === 'downloading') {
+    item.startedAt = item.startedAt || Date.now();
+    item.runs = (item.runs || 0) + 1;
+  }
+  saveQueue();
+  
+  let finished = false;
+  
+  try {
+    finished = await runStage(item);
+  } catch (error) {
+    if (item.cancelled || isCancelError(error)) {
+      await finishCancelledTask(item);
+      finished = true;
+    } else {
+      finished = await handleTaskFailure(item, error);
+      await saveAnalytics();
+    }
+  }
+  
+  if (finished) {
+    item.finishedAt = item.finishedAt || Date.now();
+    const index = videoQueue.indexOf(item);
+    if (index !== -1) videoQueue.splice(index, 1);
+  }
+  await saveQueue();
+  
+  setTimeout(processQueue, 2000);
+}
+
+async function finishCancelledTask(item) {
+  // Cancelled tasks won't be resumed, so drop their cache files.
+  // Failed tasks keep them for a retry until cleanupStaleCache expires them.
+  await removeCachedVideo(path.join(CACHE_DIR, `${item.taskId}.mp4`));
+  console.log('❌ Task cancelled:', item.taskId);
+  recordTaskEvent(item, item.stage || 'queue', 'cancelled');
+  
+  if (item.progressMessageId) {
+    try {
+      await bot.editMessageText(
+        `❌ *Task Cancelled*\n\n🎬 ${item.movieData.title.substring(0, 40)}...\n\nTask was cancelled by user`,
+        {
+          chat_id: item.chatId, message_id: item.progressMessageId, parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: [[{ text: '🏠 Menu', callback_data: 'main_menu' }]] }
+        }
+      );
+    } catch {}
+  }
+}
+
+// Wake the queue up when the earliest delayed retry becomes due
+function scheduleRetryWakeup() {
+  const waiting = videoQueue.filter(v => ['pending', 'ready'].includes(v.status) && !v.cancelled && !v.paused && v.retryAt);
+  if (waiting.length === 0) return;
+  
+  const due = Math.min(...waiting.map(v => v.retryAt));
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processQueue();
+  }, Math.max(due - Date.now(), 1000));
+}
+
+function switchSource(item, source) {
+  item.triedSources = [...new Set([...(item.triedSources || []), item.source])];
+  item.source = source.name;
+  item.download.link = source.url;
+}
+
+// Decides what happens to a failed item: fail over, retry later, or dead-letter.
+// Returns true when the item leaves the queue.
+async function handleTaskFailure(item, error) {
+  const stage = item.stage || 'download';
+  const policy = RETRY_POLICY[stage];
+  const tempFilePath = path.join(CACHE_DIR, `${item.taskId}.mp4`);
+  const failedSource = item.source;
+  item.error = error.message;
+  item.attempts = item.attempts || { fetch: 0, download: 0, upload: 0 };
+  
+  console.error(`Process error (${stage}):`, error.message);
+  
+  let text;
+  let finished = false;
+  
+  // A broken source is swapped for the next one before any retry is spent
+  const tried = new Set([...(item.triedSources || []), item.source]);
+  const nextSource = stage === 'download' && (item.sources || []).find(src => !tried.has(src.name));
+  
+  if (nextSource) {
+    switchSource(item, nextSource);
+    await removePartialDownload(tempFilePath);
+    item.status = 'pending';
+    text = `🔀 *Switching Source*\n\n🎬 ${item.movieData.title.substring(0, 40)}...\n\n` +
+      `${failedSource.toUpperCase()} failed: ${error.message}\n\nTrying ${nextSource.name.toUpperCase()} next...`;
+  } else if (++item.attempts[stage] < policy.attempts) {
+    const delay = getRetryDelay(stage, item.attempts[stage]);
+    // Upload retries reuse the finished download
+    item.status = stage === 'upload' ? 'ready' : 'pending';
+    item.retryAt = Date.now() + delay;
+    
+    if (stage === 'download') {
+      // Every source failed: fetch fresh links and start over from the chosen one
+      const preferred = (item.sources || []).find(src => src.name === item.preferredSource);
+      if (preferred && preferred.name !== item.source) {
+        switchSource(item, preferred);
+        await removePartialDownload(tempFilePath);
+      }
+      item.triedSources = [];
+      item.needsLinkRefresh = true;
+    }
+    
+    text = `🔁 *Retry Scheduled*\n\n🎬 ${item.movieData.title.substring(0, 40)}...\n\n` +
+      `❌ ${stage} failed: ${error.message}\n\n` +
+      `⏳ Attempt ${item.attempts[stage] + 1}/${policy.attempts} in ${formatDuration(delay)}`;
+  } else {
+    moveToDeadLetter(item, stage);
+    finished = true;
+    analytics.failedPosts++;
+    recordChannelStat(item.channel, 'failed');
+    text = `❌ *Failed*\n\n🎬 ${item.movieData.title.substring(0, 40)}...\n\n` +
+      `Stage: ${stage}\n${error.message}\n\nMoved to the failed list after ${item.attempts[stage]} attempt(s).`;
+  }
+  
+  recordTaskEvent(item, stage, 'error', { source: failedSource, error: error.message, final: finished });
+  if (stage === 'download') checkSourceFailures(failedSource);
+  // The progress message lives in the chat that queued the task
+  if (finished && item.chatId !== ADMIN_ID) {
+    sendAdminAlert('failure', item.taskId, `🎬 ${item.movieData.title}\n🧭 Stage: ${stage}\n❌ ${error.message}`);
+  }
+  
+  if (item.progressMessageId) {
+    const buttons = finished
+      ? [[{ text: '🔄 Requeue', callback_data: `failed_requeue_${item.taskId}` }, { text: '🪦 Failed List', callback_data: 'view_failed' }]]
+      : [[{ text: '📋 Queue', callback_data: 'view_queue' }, { text: '🏠 Menu', callback_data: 'main_menu' }]];
     
+    try {
+      await bot.editMessageText(text, {
+        chat_id: item.chatId, message_id: item.progressMessageId, parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: buttons }
+      });
+    } catch {}
+  }
+  
+  return finished;
+}
+
+function moveToDeadLetter(item, stage) {
+  item.status = 'failed';
+  item.finishedAt = Date.now();
+  deadLetters.unshift({ ...item, failedStage: stage, failedAt: Date.now() });
+  saveDeadLetters();
+  recordHistory(item, 'failed', { failedStage: stage });
+  saveUploadHistory();
+}
+
+function requeueDeadLetter(taskId) {
+  const index = deadLetters.findIndex(entry => entry.taskId === taskId);
+  if (index === -1) return null;
+  
+  const [entry] = deadLetters.splice(index, 1);
+  const { failedStage, failedAt, ...item } = entry;
+  
+  Object.assign(item, {
+    status: 'pending',
+    attempts: { fetch: 0, download: 0, upload: 0 },
+    triedSources: [],
+    retryAt: null,
+    needsLinkRefresh: Boolean(item.download.pageLink),
+    startedAt: null,
+    finishedAt: null,
+    paused: false,
+    cancelled: false
+  });
+  
+  videoQueue.push(item);
+  return item;
+}
+
+// Re-resolve the signed source links for a queued item (links can expire between retries)
+async function refreshDownloadLinks(item) {
+  const downloadData = await fetchDownloadData(item.download.pageLink, { fresh: true });
+  
+  item.sources = sortSources(downloadData.download);
+  const current = item.sources.find(src => src.name === item.source);
+  if (current) {
+    item.download.link = current.url;
+  }
+}
+
+async function runDownloadStage(item) {
+  const { chatId, movieData, download, taskId } = item;
+  const tempFilePath = path.join(CACHE_DIR, `${taskId}.mp4`);
+  
+  // Retries and failovers reuse the task's message; a new one is only sent
+  // when there is none yet or it can no longer be edited (e.g. it was deleted)
+  const startText = `⏳ *Starting...*\n\n🎬 ${movieData.title}\n\n${getProgressBar(0)} 0%`;
+  const startOptions = { parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) };
+  const reused = item.progressMessageId && await bot.editMessageText(startText, {
+    chat_id: chatId, message_id: item.progressMessageId, ...startOptions
+  }).then(() => true, error => /message is not modified/.test(error.message));
+  if (!reused) {
+    const progressMsg = await bot.sendMessage(chatId, startText, startOptions);
+    item.progressMessageId = progressMsg.message_id;
+  }
+  const messageId = item.progressMessageId;
+  
+  // Retries of the same item count once
+  if (item.runs <= 1) analytics.totalMovies++;
+  
+  if (item.cancelled) throw new Error('Task cancelled by user');
+  
+  if (item.needsLinkRefresh && download.pageLink) {
+    item.stage = 'fetch';
+    item.stageStartedAt = Date.now();
+    await refreshDownloadLinks(item);
+    recordTaskEvent(item, 'fetch', 'ok');
+    item.needsLinkRefresh = false;
+    saveQueue();
+  }
+  
+  item.stage = 'download';
+  item.stageStartedAt = Date.now();
+  await bot.editMessageText(
+    `📥 *Downloading*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n📦 Source: ${item.source.toUpperCase()}\n\n${getProgressBar(10)} 10%`,
+    { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) }
+  );
+  
+  // Stream video straight into the cache file for YouTube upload,
+  // reusing a finished download left over from a restart
+  const cachedFile = await fs.stat(tempFilePath).catch(() => null);
+  const downloadedBytes = cachedFile
+    ? cachedFile.size
+    : await downloadVideoToFile(item, tempFilePath, messageId);
+  
+  if (item.cancelled) throw new Error('Task cancelled by user');
+  
+  await bot.editMessageText(
+    `🔍 *Checking File*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${formatBytes(downloadedBytes)}`,
+    { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) }
+  ).catch(() => {});
+  
+  let mediaSummary;
+  try {
+    mediaSummary = await validateDownloadedMedia(item, tempFilePath);
   } catch (error) {
-    console.error('Download links fetch error:', error);
-    bot.editMessageText('❌ Error fetching download links.', {
-      chat_id: chatId,
-      message_id: fetchingMsg.message_id
-    });
+    // A bad file must not be picked up again as a finished download
+    await removeCachedVideo(tempFilePath);
+    throw error;
+  }
+  
+  item.fileSizeMB = parseFloat((downloadedBytes / (1024 * 1024)).toFixed(2));
+  recordTaskEvent(item, 'download', 'ok', { bytes: downloadedBytes, cached: !!cachedFile });
+  
+  const waitingForUpload = videoQueue.filter(v => v.status === 'uploading').length >= MAX_CONCURRENT_UPLOADS;
+  await bot.editMessageText(
+    `✅ *Download Complete*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n${mediaSummary}\n\n${getProgressBar(100)} 100%\n\n` +
+    (waitingForUpload ? '⏳ Waiting for a free upload slot...' : '⏳ Preparing YouTube upload...'),
+    { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) }
+  );
+  
+  item.status = 'ready';
+  item.stage = 'upload';
+  return false;
+}
+
+async function runUploadStage(item) {
+  const { chatId, movieData, download, taskId } = item;
+  const tempFilePath = path.join(CACHE_DIR, `${taskId}.mp4`);
+  
+  // The cached file can vanish (cleanup, manual delete) - download it again
+  const cachedFile = await fs.stat(tempFilePath).catch(() => null);
+  if (!cachedFile) {
+    console.log(`⚠️ Cached file missing for ${taskId}, downloading again`);
+    item.status = 'pending';
+    return false;
+  }
+  
+  if (!item.progressMessageId) {
+    const progressMsg = await bot.sendMessage(chatId, `📺 *Starting YouTube Upload*\n\n🎬 ${movieData.title}`, { parse_mode: 'Markdown' });
+    item.progressMessageId = progressMsg.message_id;
+  }
+  const messageId = item.progressMessageId;
+  
+  if (item.cancelled) throw new Error('Task cancelled by user');
+  
+  // Upload to YouTube with chunked upload
+  item.stage = 'upload';
+  item.stageStartedAt = Date.now();
+  await bot.editMessageText(
+    `📺 *Starting YouTube Upload*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\n${getProgressBar(0)} 0%\n\nInitializing upload...`,
+    { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) }
+  );
+  
+  const subtitle = await prepareSubtitle(item, tempFilePath);
+  const uploadResult = await uploadVideoToYouTube(tempFilePath, movieData, chatId, messageId, item);
+  
+  // Clean up temp file
+  await removeCachedVideo(tempFilePath);
+  
+  if (item.cancelled) throw new Error('Task cancelled by user');
+  
+  if (!uploadResult || !uploadResult.success) {
+    throw new Error('YouTube upload failed');
+  }
+  
+  item.status = 'completed';
+  item.finishedAt = Date.now();
+  const uploadDurationMs = item.finishedAt - item.stageStartedAt;
+  recordHistory(item, 'posted', {
+    videoId: uploadResult.id || null,
+    channel: uploadResult.channel,
+    privacy: uploadResult.privacy,
+    publishAt: uploadResult.publishAt || null
+  });
+  analytics.successfulPosts++;
+  recordChannelStat(uploadResult.channel, 'uploads');
+  recordChannelStat(uploadResult.channel, 'totalSize', item.fileSizeMB || 0);
+  await saveUploadHistory();
+  await saveAnalytics();
+  
+  // Thumbnail problems are reported but never fail an uploaded video
+  const quotaUsage = { units: YOUTUBE_QUOTA_COSTS.videoInsert };
+  const thumbnailStatus = uploadResult.id ? await setPosterThumbnail(uploadResult.id, item.poster || movieData.image, uploadResult.channel, quotaUsage) : '';
+  const playlistStatus = uploadResult.id ? await addToPlaylists(uploadResult.id, movieData, item, uploadResult.channel, quotaUsage) : '';
+  
+  if (uploadResult.id && subtitle.text) {
+    await bot.editMessageText(
+      `📝 *Uploading Captions*\n\n🎬 ${movieData.title.substring(0, 40)}...\n🗣️ ${getCaptionName(subtitle.language)} (${subtitle.origin})`,
+      { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown' }
+    ).catch(() => {});
+  }
+  const captionStatus = uploadResult.id ? await uploadCaptionTrack(uploadResult.id, subtitle, uploadResult.channel, quotaUsage) : '';
+  
+  // Recorded after the follow-up calls so it carries their quota; speed and duration cover the video only
+  recordTaskEvent(item, 'upload', 'ok', {
+    bytes: cachedFile.size, channel: uploadResult.channel, videoId: uploadResult.id || null,
+    durationMs: uploadDurationMs, quota: quotaUsage.units
+  });
+  
+  const videoLink = uploadResult.id ? `\n📺 Video: https://youtu.be/${uploadResult.id}\n📡 Channel: ${uploadResult.channel}` : '';
+  const publishing = `\n${formatPublishing(uploadResult.privacy, uploadResult.publishAt)}` +
+    (uploadResult.missedSchedule ? '\n⚠️ Scheduled time had passed, published immediately' : '');
+  
+  await bot.editMessageText(
+    `✅ *Posted Successfully!*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}${videoLink}${publishing}${thumbnailStatus}${captionStatus}${playlistStatus}\n\n${getProgressBar(100)} 100%`,
+    {
+      chat_id: chatId, message_id: messageId, parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [[{ text: '📊 Analytics', callback_data: 'analytics' }, { text: '🏠 Menu', callback_data: 'main_menu' }]] }
+    }
+  ).catch(() => {});
+  
+  return true;
+}
+
+// ============================================
+// MEDIA VALIDATION BEFORE UPLOAD
+// ============================================
+
+// Signatures of containers YouTube accepts, and of things sources hand out instead
+function detectFileType(header) {
+  const ascii = header.toString('latin1');
+  
+  if (ascii.substring(4, 8) === 'ftyp') return { video: true, type: 'mp4/mov' };
+  if (header.readUInt32BE(0) === 0x1a45dfa3) return { video: true, type: 'matroska/webm' };
+  if (ascii.startsWith('RIFF') && ascii.substring(8, 12) === 'AVI ') return { video: true, type: 'avi' };
+  if (ascii.startsWith('FLV')) return { video: true, type: 'flv' };
+  if (header.readUInt32BE(0) === 0x3026b275) return { video: true, type: 'wmv/asf' };
+  if (header.readUInt32BE(0) === 0x000001ba) return { video: true, type: 'mpeg-ps' };
+  if (header[0] === 0x47 && (header.length < 189 || header[188] === 0x47)) return { video: true, type: 'mpeg-ts' };
+  
+  if (ascii.startsWith('Rar!')) return { video: false, type: 'RAR archive' };
+  if (ascii.startsWith('PK\x03\x04')) return { video: false, type: 'ZIP archive' };
+  if (ascii.startsWith('7z\xbc\xaf')) return { video: false, type: '7z archive' };
+  if (/^\s*(<!doctype|<html|<\?xml|<head|<body)/i.test(ascii)) return { video: false, type: 'HTML page' };
+  if (/^\s*[{[]/.test(ascii)) return { video: false, type: 'JSON/text response' };
+  return { video: false, type: 'unknown file type' };
+}
+
+// "2h 10m", "130 min", "1 hr 45 mins" or "2:10:00" -> seconds (0 when unknown)
+function parseDurationText(text) {
+  const value = String(text || '').toLowerCase();
+  
+  const clock = value.match(/(\d+):(\d{2})(?::(\d{2}))?/);
+  if (clock) {
+    const [, a, b, c] = clock.map(Number);
+    return c !== undefined && !Number.isNaN(c) ? a * 3600 + b * 60 + c : a * 3600 + b * 60;
   }
+  
+  const hours = value.match(/(\d+(?:\.\d+)?)\s*h/);
+  const minutes = value.match(/(\d+)\s*m/);
+  return Math.round((hours ? parseFloat(hours[1]) * 3600 : 0) + (minutes ? parseInt(minutes[1]) * 60 : 0));
 }
 
-// ============================================
-// SEARCH HANDLER
-// ============================================
+// Container, duration and resolution; null when ffprobe is not installed
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    execFile(FFPROBE_PATH, ['-v', 'error', '-show_entries', 'format=format_name,duration:stream=codec_type,width,height', '-of', 'json', filePath],
+      { timeout: 60 * 1000, maxBuffer: 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error?.code === 'ENOENT') return resolve(null);
+        if (error) return reject(new Error(`ffprobe could not read the file: ${(stderr || error.message).trim().split('\n')[0]}`));
+        
+        try {
+          const data = JSON.parse(stdout);
+          const video = (data.streams || []).find(stream => stream.codec_type === 'video');
+          resolve({
+            format: data.format?.format_name || 'unknown',
+            duration: parseFloat(data.format?.duration) || 0,
+            width: video?.width || 0,
+            height: video?.height || 0,
+            hasVideo: !!video,
+            hasAudio: (data.streams || []).some(stream => stream.codec_type === 'audio')
+          });
+        } catch {
+          reject(new Error('ffprobe returned unreadable output'));
+        }
+      }
+    );
+  });
+}
 
-async function handleSearch(chatId, userId, searchQuery) {
-  const loadingMsg = await bot.sendMessage(chatId, 
-    `🔍 *Searching*\n\n${getProgressBar(0)} 0%\n\nInitializing search...`,
-    { parse_mode: 'Markdown' }
-  );
+// Throws with the reason when the file is not worth uploading, otherwise
+// returns a one-line summary for the progress message
+async function validateDownloadedMedia(item, filePath) {
+  const { movieData, download } = item;
+  const stats = await fs.stat(filePath);
   
+  const handle = await fs.open(filePath, 'r');
+  const header = Buffer.alloc(Math.min(512, stats.size));
   try {
-    await bot.editMessageText(
-      `🔍 *Searching*\n\n${getProgressBar(30)} 30%\n\nQuerying API...`,
-      { chat_id: chatId, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
-    );
-    
-    const searchUrl = `https://api-dark-shan-yt.koyeb.app/movie/cinesubz-search?q=${encodeURIComponent(searchQuery)}&apikey=${API_KEY}`;
-    const response = await axios.get(searchUrl);
-    
-    await bot.editMessageText(
-      `🔍 *Searching*\n\n${getProgressBar(70)} 70%\n\nProcessing results...`,
-      { chat_id: chatId, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
-    );
-    
-    if (!response.data.status || !response.data.data || response.data.data.length === 0) {
-      bot.editMessageText('❌ No movies found for your search.', {
-        chat_id: chatId,
-        message_id: loadingMsg.message_id
-      });
-      return;
-    }
-    
-    await bot.editMessageText(
-      `🔍 *Searching*\n\n${getProgressBar(100)} 100%\n\nLoading results...`,
-      { chat_id: chatId, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
-    );
-    
-    const movies = response.data.data.slice(0, 10);
-    const session = getUserSession(userId);
-    session.searchResults = movies;
-    
-    const keyboard = movies.map((movie, index) => [{
-      text: `${movie.title} (${movie.rating}⭐)`,
-      callback_data: `select_${index}`
-    }]);
-    
-    bot.editMessageText('📽️ Select a movie:', {
-      chat_id: chatId,
-      message_id: loadingMsg.message_id,
-      reply_markup: {
-        inline_keyboard: keyboard
-      }
-    });
-    
-  } catch (error) {
-    console.error('Search error:', error);
-    bot.editMessageText('❌ Error searching for movies. Please try again.', {
-      chat_id: chatId,
-      message_id: loadingMsg.message_id
-    });
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+  
+  if (header.length < 12) throw new Error(`Downloaded file is empty (${formatBytes(stats.size)})`);
+  
+  const detected = detectFileType(header);
+  if (!detected.video) {
+    throw new Error(`Source returned a ${detected.type} instead of a video`);
+  }
+  
+  const contentType = String(item.contentType || '').toLowerCase();
+  if (/text\/html|application\/json|zip|rar|7z/.test(contentType)) {
+    throw new Error(`Source sent ${contentType.split(';')[0]} instead of a video`);
+  }
+  
+  // API sizes are rounded ("1.4 GB"), so only a clear shortfall counts as truncated
+  const expectedBytes = parseSize(download.size);
+  if (expectedBytes > 0 && stats.size < expectedBytes * MEDIA_MIN_SIZE_RATIO) {
+    throw new Error(`File looks truncated: ${formatBytes(stats.size)} of about ${download.size}`);
+  }
+  
+  const probe = await probeMedia(filePath);
+  if (!probe) return `📦 ${detected.type} · ${formatBytes(stats.size)}`;
+  
+  if (!probe.hasVideo) throw new Error(`No video stream in the file (${probe.format})`);
+  
+  const expectedDuration = parseDurationText(movieData.duration);
+  if (expectedDuration > 0 && probe.duration > 0 && probe.duration < expectedDuration * MEDIA_MIN_DURATION_RATIO) {
+    throw new Error(`Video is ${formatDuration(probe.duration * 1000)} but the movie runs ${movieData.duration}`);
   }
+  
+  return `🎞️ ${probe.format.split(',')[0]} · ${probe.duration ? formatDuration(probe.duration * 1000) : '?'} · ` +
+    `${probe.width}x${probe.height}${probe.hasAudio ? '' : ' · ⚠️ no audio'}`;
 }
 
 // ============================================
-// QUEUE & PROCESSING
+// STREAMED DOWNLOAD WITH PROGRESS, PAUSE & CANCEL
 // ============================================
 
-async function processQueue() {
-  const next = videoQueue.find(v => v.status === 'pending' && !v.cancelled && !v.paused);
-  if (!next) return;
-  
-  next.status = 'processing';
-  currentProcessing = next;
+async function downloadVideoToFile(item, filePath, messageId) {
+  const { partPath, metaPath } = getPartialPaths(filePath);
+  let attempt = 0;
   
-  try {
-    await processMovie(next);
+  while (true) {
+    if (item.cancelled) throw new Error('Task cancelled by user');
     
-    if (!next.cancelled) {
-      next.status = 'completed';
-      processedMovies.add(next.movieUrl);
-      await saveProcessedMovies();
-      await saveAnalytics();
-    }
-  } catch (error) {
-    if (!next.cancelled) {
-      next.status = 'failed';
-      next.error = error.message;
-      await saveAnalytics();
+    try {
+      const result = await downloadAttempt(item, filePath, messageId);
+      
+      if (result.paused) {
+        // The slot stays with this task; a pause doesn't count as a failed attempt
+        while (item.paused && !item.cancelled) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        continue;
+      }
+      
+      if (result.restart) {
+        // Source refused the range or the file changed - start over from byte zero
+        if (++attempt >= DOWNLOAD_RESUME_ATTEMPTS) throw new Error('Download source keeps changing, giving up');
+        continue;
+      }
+      
+      await fs.rename(partPath, filePath);
+      await fs.unlink(metaPath).catch(() => {});
+      return result.bytes;
+    } catch (error) {
+      if (error.message === 'Task cancelled by user' || axios.isCancel(error)) {
+        await removePartialDownload(filePath);
+        throw new Error('Task cancelled by user');
+      }
+      
+      if (!isNetworkError(error) || ++attempt >= DOWNLOAD_RESUME_ATTEMPTS) throw error;
+      
+      console.log(`⚠️ Download interrupted (${error.message}), resuming in ${5 * attempt}s... (${attempt}/${DOWNLOAD_RESUME_ATTEMPTS - 1})`);
+      await new Promise(resolve => setTimeout(resolve, 5000 * attempt));
     }
   }
-  
-  videoQueue.splice(videoQueue.indexOf(next), 1);
-  currentProcessing = null;
-  
-  setTimeout(processQueue, 2000);
 }
 
-async function processMovie(item) {
+async function downloadAttempt(item, filePath, messageId) {
   const { chatId, movieData, download, taskId } = item;
-  let progressMsg;
-  let tempFilePath = null;
+  const { partPath } = getPartialPaths(filePath);
+  
+  const partial = await loadPartialDownload(filePath);
+  const offset = partial ? partial.bytesReceived : 0;
+  
+  // Rough check with the API size before opening the connection
+  await ensureDiskSpace(parseSize(download.size) - offset);
+  
+  const cancelToken = axios.CancelToken.source();
+  activeDownloads.set(taskId, cancelToken);
+  let controlInterval = null;
   
   try {
-    progressMsg = await bot.sendMessage(chatId, 
-      `⏳ *Starting...*\n\n🎬 ${movieData.title}\n\n${getProgressBar(0)} 0%`, 
-      { parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) }
-    );
+    const response = await axios({
+      method: 'GET',
+      url: download.link,
+      responseType: 'stream',
+      timeout: DOWNLOAD_TIMEOUT,
+      cancelToken: cancelToken.token,
+      headers: offset > 0 ? { Range: `bytes=${offset}-` } : {},
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 416
+    });
     
-    analytics.totalMovies++;
+    const stream = response.data;
+    const etag = response.headers['etag'] || null;
+    item.contentType = response.headers['content-type'] || null;
+    let startByte = 0;
+    let totalBytes = parseInt(response.headers['content-length']) || 0;
     
-    // Check for pause/cancel
-    if (item.cancelled) throw new Error('Task cancelled by user');
-    while (item.paused) {
-      await bot.editMessageText(
-        `⏸️ *Paused*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\nTask is paused`,
-        { chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown', reply_markup: keyboards.resumeTask(taskId) }
-      ).catch(() => {});
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      if (item.cancelled) throw new Error('Task cancelled by user');
+    if (response.status === 416) {
+      // Nothing left to fetch if the partial already holds the whole file
+      stream.destroy();
+      if (partial && partial.totalBytes && offset === partial.totalBytes) {
+        return { bytes: offset };
+      }
+      console.log(`⚠️ Range not satisfiable for ${taskId}, restarting download`);
+      await removePartialDownload(filePath);
+      return { restart: true };
     }
     
-    await bot.editMessageText(
-      `📥 *Downloading*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\n${getProgressBar(10)} 10%`,
-      { chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) }
-    );
+    if (response.status === 206) {
+      const rangeMatch = String(response.headers['content-range'] || '').match(/bytes (\d+)-\d+\/(\d+|\*)/);
+      startByte = rangeMatch ? parseInt(rangeMatch[1]) : offset;
+      totalBytes = rangeMatch && rangeMatch[2] !== '*' ? parseInt(rangeMatch[2]) : offset + totalBytes;
+      
+      const changed = startByte !== offset ||
+        (partial?.etag && etag && partial.etag !== etag) ||
+        (partial?.totalBytes && partial.totalBytes !== totalBytes);
+      
+      if (changed) {
+        stream.destroy();
+        console.log(`⚠️ Source file changed for ${taskId}, restarting download`);
+        await removePartialDownload(filePath);
+        return { restart: true };
+      }
+      
+      console.log(`▶️ Resuming ${taskId} from ${formatBytes(offset)}`);
+    } else if (offset > 0) {
+      console.log(`⚠️ Source refused range request for ${taskId}, restarting from zero`);
+    }
     
-    // Download video with cancel support and progress tracking
-    const cancelToken = axios.CancelToken.source();
-    activeDownloads.set(taskId, cancelToken);
+    const expectedBytes = totalBytes;
+    if (!totalBytes) totalBytes = parseSize(download.size);
     
-    const downloadState = {
-      paused: false,
-      cancelled: false,
-      downloadedBytes: 0,
-      totalBytes: 0,
+    if (totalBytes > MAX_VIDEO_SIZE) {
+      stream.destroy();
+      throw new Error(`File too large: ${formatBytes(totalBytes)} (max ${formatBytes(MAX_VIDEO_SIZE)})`);
+    }
+    
+    try {
+      await ensureDiskSpace(totalBytes - startByte);
+    } catch (error) {
+      stream.destroy();
+      throw error;
+    }
+    
+    const state = {
+      url: download.link,
+      etag: etag,
+      totalBytes: expectedBytes,
+      bytesReceived: startByte,
+      sessionBytes: 0,
       startTime: Date.now(),
-      lastUpdate: Date.now()
+      lastSaved: Date.now()
     };
     
-    const cancelCheckInterval = setInterval(() => {
-      if (item.cancelled) {
-        cancelToken.cancel('Download cancelled by user');
-        clearInterval(cancelCheckInterval);
-      }
-    }, 500);
+    await savePartialDownload(filePath, state);
     
     let lastPercent = -1;
     let lastUpdateTime = Date.now();
+    let updating = false;
     const MIN_UPDATE_INTERVAL = 3000; // 3 seconds minimum
     
-    const videoResponse = await axios({
-      method: 'GET',
-      url: download.link,
-      responseType: 'arraybuffer',
-      maxContentLength: MAX_VIDEO_SIZE,
-      maxBodyLength: MAX_VIDEO_SIZE,
-      timeout: DOWNLOAD_TIMEOUT,
-      cancelToken: cancelToken.token,
-      onDownloadProgress: async (progressEvent) => {
-        while (item.paused && !item.cancelled) {
-          await bot.editMessageText(
-            `⏸️ *Download Paused*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\nDownload paused at ${Math.floor((progressEvent.loaded / progressEvent.total) * 100)}%`,
-            { chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown', reply_markup: keyboards.resumeTask(taskId) }
-          ).catch(() => {});
-          await new Promise(resolve => setTimeout(resolve, 2000));
+    const getPercent = () => totalBytes ? Math.min(100, Math.floor((state.bytesReceived / totalBytes) * 100)) : 0;
+    
+    // Fire-and-forget message edit, skipped while a previous edit is still in flight
+    const editProgress = async (text, replyMarkup) => {
+      if (updating) return;
+      updating = true;
+      try {
+        await bot.editMessageText(text, {
+          chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: replyMarkup
+        });
+      } catch (err) {
+        if (err.response?.body?.error_code === 429) {
+          console.log('⚠️ Rate limited, skipping update');
         }
-        
+      } finally {
+        updating = false;
+      }
+    };
+    
+    return await new Promise((resolve, reject) => {
+      const writer = fsSync.createWriteStream(partPath, { flags: startByte > 0 ? 'a' : 'w' });
+      let finished = false;
+      
+      const fail = (error) => {
+        if (finished) return;
+        finished = true;
+        stream.destroy();
+        writer.destroy();
+        savePartialDownload(filePath, state).finally(() => reject(error));
+      };
+      
+      // Pausing closes the connection and keeps the partial file,
+      // resuming picks it up again with a Range request
+      const pauseTransfer = () => {
+        if (finished) return;
+        finished = true;
+        cancelToken.cancel('Download paused');
+        stream.unpipe(writer);
+        stream.destroy();
+        writer.end(() => {
+          savePartialDownload(filePath, state).finally(() => resolve({ paused: true }));
+        });
+        editProgress(
+          `⏸️ *Download Paused*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\nDownload paused at ${getPercent()}%`,
+          keyboards.resumeTask(taskId)
+        );
+      };
+      
+      controlInterval = setInterval(() => {
         if (item.cancelled) {
           cancelToken.cancel('Download cancelled by user');
-          return;
+          fail(new Error('Task cancelled by user'));
+        } else if (item.paused) {
+          pauseTransfer();
         }
+      }, 500);
+      
+      stream.on('data', (chunk) => {
+        state.bytesReceived += chunk.length;
+        state.sessionBytes += chunk.length;
         
-        downloadState.downloadedBytes = progressEvent.loaded;
-        downloadState.totalBytes = progressEvent.total;
+        if (state.bytesReceived > MAX_VIDEO_SIZE) {
+          return fail(new Error(`File too large: exceeded ${formatBytes(MAX_VIDEO_SIZE)}`));
+        }
         
-        const percent = Math.floor((progressEvent.loaded / progressEvent.total) * 100);
+        const percent = getPercent();
         const now = Date.now();
-        const elapsed = (now - downloadState.startTime) / 1000;
-        const speed = progressEvent.loaded / elapsed;
+        const elapsed = (now - state.startTime) / 1000;
+        const speed = elapsed > 0 ? state.sessionBytes / elapsed : 0;
         const timeSinceLastUpdate = now - lastUpdateTime;
         
+        if (now - state.lastSaved >= 5000) {
+          state.lastSaved = now;
+          savePartialDownload(filePath, state);
+        }
+        
         // Update every 3-10 seconds based on progress
         const shouldUpdate = (percent !== lastPercent && timeSinceLastUpdate >= MIN_UPDATE_INTERVAL) || 
                             timeSinceLastUpdate >= 10000;
@@ -946,195 +4664,212 @@ async function processMovie(item) {
           lastPercent = percent;
           lastUpdateTime = now;
           
-          const eta = speed > 0 ? ((progressEvent.total - progressEvent.loaded) / speed) : 0;
+          const eta = speed > 0 && totalBytes ? ((totalBytes - state.bytesReceived) / speed) : 0;
           const etaMin = Math.floor(eta / 60);
           const etaSec = Math.floor(eta % 60);
           
-          try {
-            await bot.editMessageText(
-              `📥 *Downloading*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\n` +
-              `📥 Downloaded: ${formatBytes(progressEvent.loaded)}\n` +
-              `📊 Progress: ${percent}%\n${getProgressBar(percent)}\n` +
-              `⚡ Speed: ${formatSpeed(speed)}\n` +
-              `⏱️ ETA: ${etaMin}m ${etaSec}s`,
-              { chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) }
-            );
-          } catch (err) {
-            if (err.response?.body?.error_code === 429) {
-              console.log('⚠️ Rate limited, skipping update');
-            }
-          }
+          editProgress(
+            `📥 *Downloading*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\n` +
+            `📥 Downloaded: ${formatBytes(state.bytesReceived)}\n` +
+            `📊 Progress: ${percent}%\n${getProgressBar(percent)}\n` +
+            `⚡ Speed: ${formatSpeed(speed)}\n` +
+            `⏱️ ETA: ${etaMin}m ${etaSec}s`,
+            keyboards.cancelResume(taskId)
+          );
         }
-      }
+      });
+      
+      stream.on('error', fail);
+      writer.on('error', fail);
+      
+      writer.on('finish', () => {
+        if (finished) return;
+        finished = true;
+        
+        if (expectedBytes && state.bytesReceived < expectedBytes) {
+          const error = new Error(`Download incomplete: got ${formatBytes(state.bytesReceived)} of ${formatBytes(expectedBytes)}`);
+          error.code = 'EINCOMPLETE';
+          return savePartialDownload(filePath, state).finally(() => reject(error));
+        }
+        resolve({ bytes: state.bytesReceived });
+      });
+      
+      stream.pipe(writer);
     });
-    
-    clearInterval(cancelCheckInterval);
+  } finally {
+    clearInterval(controlInterval);
     activeDownloads.delete(taskId);
-    
-    if (item.cancelled) throw new Error('Task cancelled by user');
-    
-    const fileSizeMB = (videoResponse.data.byteLength / (1024 * 1024)).toFixed(2);
-    analytics.totalSize += parseFloat(fileSizeMB);
-    
-    // Save video to temp file for YouTube upload
-    tempFilePath = path.join(CACHE_DIR, `${taskId}.mp4`);
-    await fs.writeFile(tempFilePath, Buffer.from(videoResponse.data));
-    
-    await bot.editMessageText(
-      `✅ *Download Complete*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\n${getProgressBar(100)} 100%\n\n⏳ Preparing YouTube upload...`,
-      { chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown' }
-    );
-    
-    await new Promise(resolve => setTimeout(resolve, 1500));
-    
-    if (item.cancelled) throw new Error('Task cancelled by user');
-    
-    // Upload to YouTube with chunked upload
-    await bot.editMessageText(
-      `📺 *Starting YouTube Upload*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}\n\n${getProgressBar(0)} 0%\n\nInitializing upload...`,
-      { chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown', reply_markup: keyboards.cancelResume(taskId) }
-    );
-    
-    const uploadResult = await uploadVideoToYouTube(tempFilePath, movieData, chatId, progressMsg.message_id, item);
-    
-    // Clean up temp file
-    await fs.unlink(tempFilePath).catch(() => {});
-    tempFilePath = null;
-    
-    if (item.cancelled) throw new Error('Task cancelled by user');
-    
-    if (!uploadResult || !uploadResult.success) {
-      throw new Error('YouTube upload failed');
-    }
-    
-    analytics.successfulPosts++;
-    
-    const videoLink = uploadResult.id ? `\n📺 Video: https://youtu.be/${uploadResult.id}` : '';
-    
-    await bot.editMessageText(
-      `✅ *Posted Successfully!*\n\n🎬 ${movieData.title.substring(0, 40)}...\n💾 ${download.size}${videoLink}\n\n${getProgressBar(100)} 100%`,
-      {
-        chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown',
-        reply_markup: { inline_keyboard: [[{ text: '📊 Analytics', callback_data: 'analytics' }, { text: '🏠 Menu', callback_data: 'main_menu' }]] }
-      }
-    );
-    
-  } catch (error) {
-    // Clean up temp file on error
-    if (tempFilePath) {
-      await fs.unlink(tempFilePath).catch(() => {});
-    }
-    
-    if (error.message === 'Task cancelled by user' || axios.isCancel(error)) {
-      console.log('❌ Task cancelled:', taskId);
-      if (progressMsg) {
-        try {
-          await bot.editMessageText(
-            `❌ *Task Cancelled*\n\n🎬 ${movieData.title.substring(0, 40)}...\n\nTask was cancelled by user`,
-            {
-              chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown',
-              reply_markup: { inline_keyboard: [[{ text: '🏠 Menu', callback_data: 'main_menu' }]] }
-            }
-          );
-        } catch {}
-      }
-      return;
-    }
-    
-    analytics.failedPosts++;
-    console.error('Process error:', error.message);
-    
-    if (progressMsg) {
-      try {
-        await bot.editMessageText(
-          `❌ *Error*\n\n${error.message}`,
-          {
-            chat_id: chatId, message_id: progressMsg.message_id, parse_mode: 'Markdown',
-            reply_markup: { inline_keyboard: [[{ text: '🔄 Retry', callback_data: 'search_movie' }]] }
-          }
-        );
-      } catch {}
-    }
-    throw error;
   }
 }
 
 // ============================================
-// YOUTUBE CHUNKED UPLOAD WITH PROGRESS & CANCEL
-// Line 982 - YouTube Upload Progress Tracking Variables
+// YOUTUBE RESUMABLE UPLOAD WITH PROGRESS & CANCEL
 // ============================================
 
+async function getYouTubeAuthHeaders(auth) {
+  // getAccessToken refreshes the token when it is about to expire
+  const { token } = await auth.getAccessToken();
+  return { Authorization: `Bearer ${token}` };
+}
+
+// 308 "Resume Incomplete" carries the committed range, 200/201 the finished video
+function parseUploadResponse(response) {
+  if (response.status === 308) {
+    const match = String(response.headers['range'] || '').match(/bytes=0-(\d+)/);
+    return { done: false, offset: match ? parseInt(match[1]) + 1 : 0 };
+  }
+  return { done: true, video: response.data };
+}
+
+const isUploadStatus = (status) => status === 308 || (status >= 200 && status < 300);
+
+async function createUploadSession(auth, metadata, fileSize) {
+  const response = await axios.post(`${YOUTUBE_UPLOAD_URL}?uploadType=resumable&part=snippet,status`, metadata, {
+    headers: {
+      ...(await getYouTubeAuthHeaders(auth)),
+      'Content-Type': 'application/json; charset=UTF-8',
+      'X-Upload-Content-Length': fileSize,
+      'X-Upload-Content-Type': 'video/*'
+    },
+    maxRedirects: 0
+  });
+  
+  if (!response.headers['location']) {
+    throw new Error('YouTube did not return an upload session URI');
+  }
+  return response.headers['location'];
+}
+
+async function queryUploadStatus(auth, sessionUri, fileSize) {
+  const response = await axios.put(sessionUri, null, {
+    headers: {
+      ...(await getYouTubeAuthHeaders(auth)),
+      'Content-Length': 0,
+      'Content-Range': `bytes */${fileSize}`
+    },
+    maxRedirects: 0,
+    validateStatus: isUploadStatus
+  });
+  return parseUploadResponse(response);
+}
+
+async function uploadChunk(auth, sessionUri, chunk, start, fileSize) {
+  const response = await axios.put(sessionUri, chunk, {
+    headers: {
+      ...(await getYouTubeAuthHeaders(auth)),
+      'Content-Type': 'video/*',
+      'Content-Length': chunk.length,
+      'Content-Range': `bytes ${start}-${start + chunk.length - 1}/${fileSize}`
+    },
+    maxRedirects: 0,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+    timeout: UPLOAD_CHUNK_TIMEOUT,
+    validateStatus: isUploadStatus
+  });
+  return parseUploadResponse(response);
+}
+
+async function readFileChunk(fileHandle, offset, fileSize) {
+  const length = Math.min(UPLOAD_CHUNK_SIZE, fileSize - offset);
+  const chunk = Buffer.alloc(length);
+  await fileHandle.read(chunk, 0, length, offset);
+  return chunk;
+}
+
+function isUploadSessionExpired(error) {
+  return error.response?.status === 404 || error.response?.status === 410;
+}
+
+async function startUploadSession(auth, channelName, filePath, metadata, fileSize) {
+  const session = {
+    uri: await createUploadSession(auth, metadata, fileSize),
+    channel: channelName,
+    fileSize: fileSize,
+    offset: 0,
+    createdAt: new Date().toISOString()
+  };
+  await saveUploadSession(filePath, session);
+  return session;
+}
+
 async function uploadVideoToYouTube(filePath, movieData, chatId, messageId, item) {
   try {
-    const youtube = google.youtube({
-      version: 'v3',
-      auth: youtubeAuth
-    });
-
     if (item && item.cancelled) throw new Error('Task cancelled by user');
 
-    // Prepare video metadata
-    const title = movieData.title.substring(0, 100);
-    
-    // Clean tags to avoid special characters
-    const cleanTag = movieData.tag.replace(/[^a-zA-Z0-9]/g, '');
-    const cleanYear = movieData.year.replace(/[^0-9]/g, '');
-    
-    const description = `${movieData.title}
+    const channelName = item?.channel || channelConfig.defaultChannel;
+    const auth = getChannelAuth(channelName);
+
+    // Render title/description/tags from the item's metadata template
+    const { title, description, tags, categoryId } = buildVideoMetadata(movieData, item);
+
+    // A schedule that already passed while queued is published straight away
+    const publishAt = item?.publishAt && item.publishAt > Date.now() + MIN_SCHEDULE_LEAD ? item.publishAt : null;
+    const privacyStatus = publishAt ? 'private' : (item?.privacy || botSettings.defaultPrivacy);
+
+    const metadata = {
+      snippet: {
+        title: title,
+        description: description,
+        tags: tags,
+        categoryId: categoryId
+      },
+      status: {
+        privacyStatus: privacyStatus,
+        ...(publishAt ? { publishAt: new Date(publishAt).toISOString() } : {}),
+        selfDeclaredMadeForKids: false
+      }
+    };
 
-⭐ Rating: ${movieData.rating}
-📅 Year: ${movieData.year}
-⏱️ Duration: ${movieData.duration}
-🗣️ Language: ${movieData.tag}
-🎥 ${movieData.directors}
+    await bot.editMessageText(
+      `📺 *Uploading to YouTube*\n\n🎬 ${movieData.title.substring(0, 40)}...\n\n${getProgressBar(5)} 5%\n\nPreparing chunked upload...`,
+      { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: item ? keyboards.cancelResume(item.taskId) : undefined }
+    );
 
-#${cleanTag} #Movie #${cleanYear}`;
+    const fileSize = (await fs.stat(filePath)).size;
+    let session = await loadUploadSession(filePath);
+    let offset = 0;
+    let video = null;
 
-    const tags = [
-      movieData.tag,
-      'Movie',
-      movieData.year,
-      'Cinema',
-      'Film'
-    ];
+    // Pick up a session left behind by a crash or an earlier failure
+    if (session && session.fileSize === fileSize && (session.channel || channelConfig.defaultChannel) === channelName) {
+      try {
+        const status = await queryUploadStatus(auth, session.uri, fileSize);
+        if (status.done) {
+          video = status.video;
+        } else {
+          offset = status.offset;
+          console.log(`▶️ Resuming YouTube upload from ${formatBytes(offset)}`);
+        }
+      } catch (error) {
+        if (!isUploadSessionExpired(error)) throw error;
+        console.log('⚠️ YouTube upload session expired, starting a new one');
+        session = null;
+      }
+    } else {
+      session = null;
+    }
 
-    await bot.editMessageText(
-      `📺 *Uploading to YouTube*\n\n🎬 ${movieData.title.substring(0, 40)}...\n\n${getProgressBar(5)} 5%\n\nPreparing chunked upload...`,
-      { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: item ? keyboards.cancelResume(item.taskId) : undefined }
-    );
+    if (!session) {
+      session = await startUploadSession(auth, channelName, filePath, metadata, fileSize);
+    }
 
-    // Line 982 - YouTube Upload Progress Tracking Variables
-    const fileSize = fsSync.statSync(filePath).size;
-    let uploadedBytes = 0;
     let lastPercent = 5;
     let lastUpdateTime = Date.now();
     const MIN_UPLOAD_UPDATE_INTERVAL = 5000; // 5 seconds minimum between updates
     let updateCount = 0;
+    let failures = 0;
+    let resync = false;
 
-    const res = await youtube.videos.insert({
-      part: ['snippet', 'status'],
-      requestBody: {
-        snippet: {
-          title: title,
-          description: description,
-          tags: tags,
-          categoryId: '1'
-        },
-        status: {
-          privacyStatus: 'public',
-          selfDeclaredMadeForKids: false
-        }
-      },
-      media: {
-        body: fsSync.createReadStream(filePath)
-      }
-    }, {
-      onUploadProgress: async (evt) => {
-        // Check for pause
+    const fileHandle = await fs.open(filePath, 'r');
+
+    try {
+      while (!video) {
+        // Pausing between chunks stops the transfer; the session stays valid for days
         if (item) {
           while (item.paused && !item.cancelled) {
             await bot.editMessageText(
-              `⏸️ *Upload Paused*\n\n🎬 ${movieData.title.substring(0, 40)}...\n\nUpload paused at ${Math.floor((uploadedBytes / fileSize) * 100)}%`,
+              `⏸️ *Upload Paused*\n\n🎬 ${movieData.title.substring(0, 40)}...\n\nUpload paused at ${Math.floor((offset / fileSize) * 100)}%`,
               { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: keyboards.resumeTask(item.taskId) }
             ).catch(() => {});
             await new Promise(resolve => setTimeout(resolve, 2000));
@@ -1143,8 +4878,42 @@ async function uploadVideoToYouTube(filePath, movieData, chatId, messageId, item
           if (item.cancelled) throw new Error('Task cancelled by user');
         }
 
-        uploadedBytes = evt.bytesRead;
-        const percent = Math.floor((uploadedBytes / fileSize) * 95) + 5;
+        try {
+          const result = resync
+            ? await queryUploadStatus(auth, session.uri, fileSize)
+            : await uploadChunk(auth, session.uri, await readFileChunk(fileHandle, offset, fileSize), offset, fileSize);
+          
+          resync = false;
+          failures = 0;
+          
+          if (result.done) {
+            video = result.video;
+            break;
+          }
+          
+          offset = result.offset;
+          session.offset = offset;
+          await saveUploadSession(filePath, session);
+        } catch (error) {
+          if (isUploadSessionExpired(error) && failures++ < UPLOAD_RETRY_ATTEMPTS) {
+            console.log('⚠️ YouTube upload session expired, restarting upload');
+            session = await startUploadSession(auth, channelName, filePath, metadata, fileSize);
+            offset = 0;
+            resync = false;
+            continue;
+          }
+          
+          if (!isNetworkError(error) || ++failures >= UPLOAD_RETRY_ATTEMPTS) throw error;
+          
+          // Back off, then ask YouTube how much it actually committed
+          const delay = Math.min(Math.pow(2, failures) * 1000, 60000);
+          console.log(`⚠️ Upload chunk failed (${error.message}), checking offset in ${delay / 1000}s... (${failures}/${UPLOAD_RETRY_ATTEMPTS - 1})`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          resync = true;
+          continue;
+        }
+
+        const percent = Math.floor((offset / fileSize) * 95) + 5;
         const now = Date.now();
         const timeSinceLastUpdate = now - lastUpdateTime;
 
@@ -1166,14 +4935,11 @@ async function uploadVideoToYouTube(filePath, movieData, chatId, messageId, item
           try {
             await bot.editMessageText(
               `📺 *Uploading to YouTube*\n\n🎬 ${movieData.title.substring(0, 40)}...\n\n` +
-              `📤 Uploaded: ${formatBytes(uploadedBytes)}\n` +
+              `📤 Uploaded: ${formatBytes(offset)}\n` +
               `📊 Progress: ${percent}%\n${getProgressBar(percent)}\n` +
               `💾 Total: ${formatBytes(fileSize)}`,
               { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: item ? keyboards.cancelResume(item.taskId) : undefined }
             );
-            
-            // Add small delay after successful update to prevent rapid requests
-            await new Promise(resolve => setTimeout(resolve, 1000));
           } catch (err) {
             if (err.response?.body?.error_code === 429) {
               console.log('⚠️ Upload: Rate limited, increasing wait time');
@@ -1182,9 +4948,11 @@ async function uploadVideoToYouTube(filePath, movieData, chatId, messageId, item
           }
         }
       }
-    });
+    } finally {
+      await fileHandle.close();
+    }
 
-    if (item && item.cancelled) throw new Error('Task cancelled by user');
+    await removeUploadSession(filePath);
 
     await bot.editMessageText(
       `📺 *Uploading to YouTube*\n\n🎬 ${movieData.title.substring(0, 40)}...\n\n${getProgressBar(100)} 100%\n\nProcessing...`,
@@ -1192,27 +4960,670 @@ async function uploadVideoToYouTube(filePath, movieData, chatId, messageId, item
     );
 
     console.log('✅ YouTube upload successful!');
-    console.log('📹 Video ID:', res.data.id);
+    console.log('📹 Video ID:', video.id);
 
     return {
       success: true,
-      id: res.data.id
+      id: video.id,
+      channel: channelName,
+      privacy: item?.privacy || botSettings.defaultPrivacy,
+      publishAt: publishAt,
+      missedSchedule: Boolean(item?.publishAt && !publishAt)
     };
 
   } catch (error) {
     if (error.message === 'Task cancelled by user') throw error;
     
-    console.error('❌ YouTube upload error:', error.message);
+    const apiMessage = error.response?.data?.error?.message || error.message;
+    const channelName = item?.channel || channelConfig.defaultChannel;
+    console.error('❌ YouTube upload error:', apiMessage);
     
-    if (error.message.includes('invalid_grant') || error.message.includes('Token has been expired')) {
+    if (error.response?.status === 401 || apiMessage.includes('invalid_grant') || apiMessage.includes('Token has been expired')) {
       console.log('🔐 YouTube token expired, need to re-authenticate');
+      sendAdminAlert('auth', channelName, `📡 Channel "${channelName}" can no longer upload.\n\nRun /reauth ${channelName}`);
       throw new Error('YouTube authentication expired. Please run /reauth command.');
     }
     
-    throw new Error(`YouTube upload failed: ${error.message}`);
+    if (isQuotaError(error)) {
+      sendAdminAlert('quota', 'upload', `📡 Channel "${channelName}": ${apiMessage}\n\nUploads will keep failing until the quota resets (midnight Pacific time).`);
+    }
+    
+    throw new Error(`YouTube upload failed: ${apiMessage}`);
+  }
+}
+
+// ============================================
+// YOUTUBE THUMBNAIL FROM POSTER
+// ============================================
+
+// Fit the portrait poster onto a 16:9 canvas over a blurred copy of itself,
+// lowering JPEG quality until it fits YouTube's 2MB limit
+async function preparePosterThumbnail(posterUrl) {
+  const response = await axios.get(posterUrl, { responseType: 'arraybuffer', timeout: 30000 });
+  const source = Buffer.from(response.data);
+  
+  const background = await sharp(source).resize(1280, 720, { fit: 'cover' }).blur(30).toBuffer();
+  const foreground = await sharp(source).resize(1280, 720, { fit: 'inside' }).toBuffer();
+  
+  for (let quality = 90; quality >= 40; quality -= 10) {
+    const image = await sharp(background)
+      .composite([{ input: foreground, gravity: 'center' }])
+      .jpeg({ quality })
+      .toBuffer();
+    
+    if (image.length <= THUMBNAIL_MAX_SIZE) return image;
+  }
+  
+  throw new Error('Poster could not be compressed under 2MB');
+}
+
+async function setPosterThumbnail(videoId, posterUrl, channelName, quotaUsage) {
+  if (!posterUrl || posterUrl === NO_POSTER_URL) {
+    return '\n🖼️ Thumbnail: no poster available';
+  }
+  
+  try {
+    const image = await preparePosterThumbnail(posterUrl);
+    const youtube = google.youtube({
+      version: 'v3',
+      auth: getChannelAuth(channelName)
+    });
+    
+    quotaUsage.units += YOUTUBE_QUOTA_COSTS.thumbnail;
+    await youtube.thumbnails.set({
+      videoId: videoId,
+      media: {
+        mimeType: 'image/jpeg',
+        body: Readable.from(image)
+      }
+    });
+    
+    console.log('🖼️ Thumbnail set for', videoId);
+    return '\n🖼️ Thumbnail: poster set';
+  } catch (error) {
+    // 403 here usually means the channel is not verified for custom thumbnails
+    const reason = error.response?.data?.error?.message || error.message;
+    console.error('❌ Thumbnail error:', reason);
+    return `\n⚠️ Thumbnail failed: ${reason}`;
+  }
+}
+
+// ============================================
+// SUBTITLES AS YOUTUBE CAPTIONS
+// ============================================
+
+// Subtitle links can sit on the movie page or the download page, as a single
+// URL or a list of { url|link, language|lang }
+function getSubtitleLinks(...sources) {
+  const links = [];
+  
+  for (const source of sources) {
+    for (const entry of [source?.subtitles, source?.subtitle].flat()) {
+      if (!entry) continue;
+      const url = typeof entry === 'string' ? entry : entry.url || entry.link;
+      if (typeof url !== 'string' || !/^https?:\/\//.test(url)) continue;
+      links.push({ url, language: typeof entry === 'object' ? entry.language || entry.lang || null : null });
+    }
+  }
+  return links;
+}
+
+function getCaptionLanguage(name) {
+  const value = String(name || '').toLowerCase().trim();
+  if (/^[a-z]{2}(-[a-z]{2})?$/.test(value)) return value;
+  const match = Object.keys(SUBTITLE_LANGUAGES).find(language => value.includes(language));
+  return match ? SUBTITLE_LANGUAGES[match] : SUBTITLE_LANGUAGE;
+}
+
+function getCaptionName(code) {
+  const match = Object.entries(SUBTITLE_LANGUAGES).find(([, value]) => value === code);
+  return match ? match[0].charAt(0).toUpperCase() + match[0].slice(1) : code;
+}
+
+function decodeSubtitle(buffer) {
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) throw new Error('zipped subtitles are not supported');
+  const text = buffer[0] === 0xff && buffer[1] === 0xfe ? buffer.toString('utf16le') : buffer.toString('utf8');
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// "0:01:02.34" (ASS centiseconds) -> "00:01:02,340" (SRT milliseconds)
+function assTimeToSrt(time) {
+  const [h, m, rest] = time.trim().split(':');
+  const [s, cs = '0'] = rest.split('.');
+  return `${h.padStart(2, '0')}:${m.padStart(2, '0')}:${s.padStart(2, '0')},${cs.padEnd(3, '0').substring(0, 3)}`;
+}
+
+// YouTube takes SRT and WebVTT but not ASS, so ASS dialogue is rewritten as SRT
+function assToSrt(text) {
+  let fields = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+  const cues = [];
+  let inEvents = false;
+  
+  for (const line of text.split('\n')) {
+    if (/^\[.+\]$/.test(line.trim())) {
+      inEvents = line.trim().toLowerCase() === '[events]';
+    } else if (inEvents && /^Format:/i.test(line)) {
+      fields = line.substring(line.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+    } else if (inEvents && /^Dialogue:/i.test(line)) {
+      // Text is the last field and may itself contain commas
+      const parts = line.substring(line.indexOf(':') + 1).split(',');
+      const values = [...parts.slice(0, fields.length - 1), parts.slice(fields.length - 1).join(',')];
+      const cue = Object.fromEntries(fields.map((field, i) => [field, values[i] || '']));
+      const body = cue.text.replace(/\{[^}]*\}/g, '').replace(/\\[Nn]/g, '\n').replace(/\\h/g, ' ').trim();
+      if (body) cues.push({ start: assTimeToSrt(cue.start), end: assTimeToSrt(cue.end), body });
+    }
+  }
+  
+  if (cues.length === 0) throw new Error('ASS file has no dialogue');
+  return cues
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map((cue, i) => `${i + 1}\n${cue.start} --> ${cue.end}\n${cue.body}\n`)
+    .join('\n');
+}
+
+function toCaptionTrack(text) {
+  if (/^WEBVTT/.test(text)) return { text, format: 'vtt' };
+  if (/\d{1,2}:\d{2}:\d{2},\d{3}\s*-->/.test(text)) return { text, format: 'srt' };
+  if (/^\[Script Info\]/im.test(text) || /^Dialogue:/im.test(text)) return { text: assToSrt(text), format: 'srt (from ass)' };
+  throw new Error('unrecognised subtitle format');
+}
+
+async function downloadSubtitle(url) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    maxContentLength: SUBTITLE_MAX_SIZE
+  });
+  return Buffer.from(response.data);
+}
+
+// First subtitle stream of the video as SRT; null when there is none
+function extractEmbeddedSubtitle(filePath) {
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, ['-v', 'error', '-i', filePath, '-map', '0:s:0?', '-f', 'srt', 'pipe:1'],
+      { timeout: 2 * 60 * 1000, maxBuffer: SUBTITLE_MAX_SIZE, encoding: 'buffer' },
+      (error, stdout, stderr) => {
+        // Without ffmpeg there is simply no embedded fallback
+        if (error?.code === 'ENOENT') {
+          console.log('⚠️ ffmpeg not found, skipping embedded subtitles');
+          return resolve(null);
+        }
+        // The optional map selects nothing when the file has no subtitle stream
+        const output = String(stderr || '').trim();
+        if (error && /does not contain any stream/i.test(output)) return resolve(null);
+        // error.message carries the whole command line; only ffmpeg's own message reaches the chat
+        if (error) return reject(new Error(`ffmpeg failed: ${output.split('\n').pop() || error.signal || error.code}`));
+        resolve(stdout.length > 0 ? stdout : null);
+      }
+    );
+  });
+}
+
+// Runs before the cached video is removed, since embedded subtitles need it
+async function prepareSubtitle(item, filePath) {
+  const links = item.subtitles || getSubtitleLinks(item.movieData);
+  const problems = [];
+  
+  for (const link of links) {
+    try {
+      const track = toCaptionTrack(decodeSubtitle(await downloadSubtitle(link.url)));
+      return { ...track, language: getCaptionLanguage(link.language), origin: 'source' };
+    } catch (error) {
+      console.error('❌ Subtitle download error:', error.message);
+      problems.push(error.message);
+    }
+  }
+  
+  try {
+    const embedded = await extractEmbeddedSubtitle(filePath);
+    if (embedded) {
+      return { ...toCaptionTrack(decodeSubtitle(embedded)), language: SUBTITLE_LANGUAGE, origin: 'embedded' };
+    }
+  } catch (error) {
+    console.error('❌ Subtitle extraction error:', error.message);
+    problems.push(error.message);
+  }
+  
+  return { error: problems.length > 0 ? problems.join('; ') : null };
+}
+
+// Caption problems are reported but never fail an uploaded video
+async function uploadCaptionTrack(videoId, track, channelName, quotaUsage) {
+  if (!track || track.error === null) return '\n📝 Captions: none available';
+  if (track.error) return `\n⚠️ Captions failed: ${track.error}`;
+  
+  try {
+    const youtube = google.youtube({ version: 'v3', auth: getChannelAuth(channelName) });
+    quotaUsage.units += YOUTUBE_QUOTA_COSTS.caption;
+    await youtube.captions.insert({
+      part: ['snippet'],
+      requestBody: {
+        snippet: { videoId, language: track.language, name: getCaptionName(track.language), isDraft: false }
+      },
+      media: {
+        mimeType: 'application/octet-stream',
+        body: Readable.from(Buffer.from(track.text, 'utf8'))
+      }
+    });
+    
+    console.log(`📝 Captions (${track.language}) added to ${videoId}`);
+    return `\n📝 Captions: ${getCaptionName(track.language)} (${track.origin}, ${track.format})`;
+  } catch (error) {
+    const reason = error.response?.data?.error?.message || error.message;
+    const hint = isMissingScopeError(error) ? ` - /reauth ${channelName} to grant caption access` : '';
+    console.error('❌ Caption upload error:', reason);
+    return `\n⚠️ Captions failed: ${reason}${hint}`;
+  }
+}
+
+// ============================================
+// YOUTUBE PLAYLISTS
+// ============================================
+
+// Genre isn't always present and may be a list or a comma-separated string
+function getRuleFieldValue(movieData, field) {
+  const value = field === 'genre' ? (movieData.genres || movieData.genre || movieData.category) : movieData[field];
+  return (Array.isArray(value) ? value.join(',') : String(value ?? '')).toLowerCase();
+}
+
+function getMatchingRules(movieData) {
+  return playlistConfig.rules.filter(rule =>
+    rule.field !== 'manual' && getRuleFieldValue(movieData, rule.field).includes(rule.value.toLowerCase())
+  );
+}
+
+// Distinct playlist titles that can be picked by hand when queuing
+function getPlaylistTitles() {
+  return [...new Set(playlistConfig.rules.map(rule => rule.playlist))];
+}
+
+// item.playlist: null follows the rules, 'none' skips them, anything else is a manual pick
+function getPlaylistTargets(movieData, item, channelName) {
+  const titles = item.playlist === 'none' ? []
+    : item.playlist ? [item.playlist]
+      : getMatchingRules(movieData).map(rule => rule.playlist);
+  const targets = [...new Set(titles)].map(title => ({ title, key: `${channelName}|${title}` }));
+  
+  if (movieData.seriesLink && botSettings.seasonPlaylists) {
+    targets.push({
+      title: `${movieData.series} - Season ${movieData.season}`,
+      key: `${channelName}|${movieData.seriesLink}|${movieData.season}`
+    });
+  }
+  return targets;
+}
+
+async function findPlaylistByTitle(channelName, title, quotaUsage) {
+  const youtube = google.youtube({ version: 'v3', auth: getChannelAuth(channelName) });
+  let pageToken;
+  
+  do {
+    quotaUsage.units += YOUTUBE_QUOTA_COSTS.list;
+    const response = await youtube.playlists.list({ part: ['snippet'], mine: true, maxResults: 50, pageToken });
+    const match = (response.data.items || []).find(playlist => playlist.snippet.title === title);
+    if (match) return match.id;
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  
+  return null;
+}
+
+async function createPlaylist(channelName, title, privacy, quotaUsage) {
+  const youtube = google.youtube({ version: 'v3', auth: getChannelAuth(channelName) });
+  quotaUsage.units += YOUTUBE_QUOTA_COSTS.playlistInsert;
+  const response = await youtube.playlists.insert({
+    part: ['snippet', 'status'],
+    requestBody: {
+      snippet: { title: title.substring(0, 150) },
+      status: { privacyStatus: privacy }
+    }
+  });
+  console.log(`📚 Created playlist "${title}" on ${channelName}`);
+  return response.data.id;
+}
+
+async function insertPlaylistItem(channelName, playlistId, videoId, quotaUsage) {
+  const youtube = google.youtube({ version: 'v3', auth: getChannelAuth(channelName) });
+  quotaUsage.units += YOUTUBE_QUOTA_COSTS.playlistItem;
+  await youtube.playlistItems.insert({
+    part: ['snippet'],
+    requestBody: {
+      snippet: { playlistId, resourceId: { kind: 'youtube#video', videoId } }
+    }
+  });
+}
+
+// Playlist IDs are remembered per channel; an existing playlist with the
+// same title is reused before a new one is created
+async function addToPlaylist(videoId, channelName, target, quotaUsage) {
+  let playlistId = playlistConfig.ids[target.key];
+  if (!playlistId) {
+    playlistId = await findPlaylistByTitle(channelName, target.title, quotaUsage) ||
+      await createPlaylist(channelName, target.title, botSettings.defaultPrivacy, quotaUsage);
+    playlistConfig.ids[target.key] = playlistId;
+    await savePlaylists();
+  }
+  
+  try {
+    await insertPlaylistItem(channelName, playlistId, videoId, quotaUsage);
+  } catch (error) {
+    // The playlist was deleted on YouTube - start a fresh one
+    if (error.response?.status !== 404) throw error;
+    playlistId = await createPlaylist(channelName, target.title, botSettings.defaultPrivacy, quotaUsage);
+    playlistConfig.ids[target.key] = playlistId;
+    await savePlaylists();
+    await insertPlaylistItem(channelName, playlistId, videoId, quotaUsage);
+  }
+}
+
+// Tokens from before YOUTUBE_SCOPES grew only allow uploads
+function isMissingScopeError(error) {
+  return error.response?.status === 403 && /insufficient/i.test(JSON.stringify(error.response?.data || ''));
+}
+
+// Playlist problems are reported but never fail an uploaded video
+async function addToPlaylists(videoId, movieData, item, channelName, quotaUsage) {
+  let status = '';
+  
+  for (const target of getPlaylistTargets(movieData, item, channelName)) {
+    try {
+      await addToPlaylist(videoId, channelName, target, quotaUsage);
+      status += `\n📚 Playlist: ${target.title}`;
+    } catch (error) {
+      const reason = error.response?.data?.error?.message || error.message;
+      const hint = isMissingScopeError(error) ? ` - /reauth ${channelName} to grant playlist access` : '';
+      console.error(`❌ Playlist error (${target.title}):`, reason);
+      status += `\n⚠️ Playlist "${target.title}" failed: ${reason}${hint}`;
+    }
+  }
+  return status;
+}
+
+// ============================================
+// ANALYTICS EVENTS & REPORTS
+// ============================================
+
+const EVENT_CSV_COLUMNS = ['at', 'taskId', 'title', 'movieUrl', 'stage', 'outcome', 'final', 'source', 'quality', 'channel', 'durationMs', 'bytes', 'speed', 'cached', 'videoId', 'quota', 'error'];
+
+// One event per finished stage run: ok, error or cancelled. final marks the
+// event that ended the task. Speed is bytes per second of that run.
+function recordTaskEvent(item, stage, outcome, details = {}) {
+  const event = {
+    at: Date.now(),
+    taskId: item.taskId,
+    title: item.movieData.title,
+    movieUrl: item.movieUrl,
+    stage: stage,
+    outcome: outcome,
+    final: outcome === 'cancelled' || (outcome === 'ok' && stage === 'upload'),
+    source: item.source,
+    quality: item.download.quality,
+    channel: item.channel || channelConfig.defaultChannel,
+    durationMs: item.stageStartedAt ? Date.now() - item.stageStartedAt : null,
+    bytes: null,
+    speed: null,
+    ...details
+  };
+  if (event.bytes && event.durationMs > 0 && !event.cached) {
+    event.speed = Math.round(event.bytes / (event.durationMs / 1000));
+  }
+  
+  taskEvents.push(event);
+  appendTaskEvent(event);
+}
+
+function getDayKey(time) {
+  return new Date(time).toLocaleDateString('en-CA'); // YYYY-MM-DD
+}
+
+// Monday of the week, as a day key
+function getWeekKey(time) {
+  const date = new Date(time);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return getDayKey(date);
+}
+
+function summarizeEvents(events) {
+  const posted = events.filter(event => event.stage === 'upload' && event.outcome === 'ok');
+  return {
+    posted: posted.length,
+    failed: events.filter(event => event.outcome === 'error' && event.final).length,
+    bytes: posted.reduce((sum, event) => sum + (event.bytes || 0), 0)
+  };
+}
+
+function formatSummary(summary) {
+  return `✅ ${summary.posted} · ❌ ${summary.failed} · 💾 ${formatBytes(summary.bytes)}`;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Download outcomes per source; a source counts as failed when a download on it errored
+function getSourceStats(events) {
+  const stats = {};
+  events.filter(event => event.stage === 'download' && event.outcome !== 'cancelled').forEach(event => {
+    const source = stats[event.source] = stats[event.source] || { ok: 0, failed: 0, speeds: [] };
+    if (event.outcome === 'ok') {
+      source.ok++;
+      if (event.speed) source.speeds.push(event.speed);
+    } else {
+      source.failed++;
+    }
+  });
+  return stats;
+}
+
+function formatAnalytics() {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const recent = taskEvents.filter(event => now - event.at < 30 * day);
+  const todayKey = getDayKey(now);
+  
+  let text = `📊 *Analytics*\n\n`;
+  text += `*Today:* ${formatSummary(summarizeEvents(recent.filter(event => getDayKey(event.at) === todayKey)))}\n`;
+  text += `*Last 7 days:* ${formatSummary(summarizeEvents(recent.filter(event => now - event.at < 7 * day)))}\n`;
+  text += `*Last 30 days:* ${formatSummary(summarizeEvents(recent))}\n`;
+  
+  text += `\n*Daily:*\n`;
+  for (let i = 6; i >= 0; i--) {
+    const key = getDayKey(now - i * day);
+    text += `${key.substring(5)}: ${formatSummary(summarizeEvents(recent.filter(event => getDayKey(event.at) === key)))}\n`;
+  }
+  
+  text += `\n*Weekly:*\n`;
+  for (let i = 3; i >= 0; i--) {
+    const key = getWeekKey(now - i * 7 * day);
+    const week = taskEvents.filter(event => getWeekKey(event.at) === key);
+    text += `${key.substring(5)}: ${formatSummary(summarizeEvents(week))}\n`;
+  }
+  
+  const sourceLines = Object.entries(getSourceStats(recent)).map(([name, stats]) => {
+    const rate = ((stats.ok / (stats.ok + stats.failed)) * 100).toFixed(0);
+    const speed = stats.speeds.length ? ` · ⚡ ${formatSpeed(average(stats.speeds))}` : '';
+    return `📦 ${name}: ${rate}% (${stats.ok}/${stats.ok + stats.failed})${speed}`;
+  });
+  if (sourceLines.length > 0) text += `\n*Sources (30d):*\n${sourceLines.join('\n')}\n`;
+  
+  const okEvents = (stage) => recent.filter(event => event.stage === stage && event.outcome === 'ok');
+  const speeds = (stage) => okEvents(stage).map(event => event.speed).filter(Boolean);
+  const durations = (stage) => okEvents(stage).filter(event => !event.cached).map(event => event.durationMs).filter(Boolean);
+  
+  text += `\n*Throughput (30d):* 📥 ${formatSpeed(average(speeds('download')))} · 📤 ${formatSpeed(average(speeds('upload')))}\n`;
+  text += `*Avg time:* 🔗 ${formatDuration(average(durations('fetch')))} · 📥 ${formatDuration(average(durations('download')))} · 📤 ${formatDuration(average(durations('upload')))}\n`;
+  return text;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildEventsCsv(events) {
+  const rows = events.map(event => EVENT_CSV_COLUMNS.map(column => {
+    if (column === 'at') return new Date(event.at).toISOString();
+    return toCsvValue(event[column]);
+  }).join(','));
+  return [EVENT_CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+// days = null exports everything
+async function sendEventsReport(chatId, days) {
+  const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  const events = taskEvents.filter(event => event.at >= since);
+  const period = days ? `last ${days} day(s)` : 'all time';
+  
+  if (events.length === 0) {
+    return bot.sendMessage(chatId, `📄 No task events for ${period}`);
+  }
+  
+  await bot.sendDocument(chatId, Buffer.from(buildEventsCsv(events)), {
+    caption: `📄 Task report - ${period}\n${events.length} events · ${formatSummary(summarizeEvents(events))}`
+  }, {
+    filename: `report-${getDayKey(Date.now())}.csv`,
+    contentType: 'text/csv'
+  });
+}
+
+// ============================================
+// ADMIN ALERTS & DAILY DIGEST
+// ============================================
+
+// Repeats of the same alert (same type and subject) are held back for ALERT_COOLDOWN
+async function sendAdminAlert(type, subject, text) {
+  if (!ADMIN_ID) return;
+  
+  const { alerts } = botSettings;
+  if (alerts.muted.includes(type) || (alerts.snoozedUntil && Date.now() < alerts.snoozedUntil)) return;
+  
+  const key = `${type}:${subject}`;
+  if (Date.now() - (alertLastSent.get(key) || 0) < ALERT_COOLDOWN) return;
+  alertLastSent.set(key, Date.now());
+  
+  try {
+    await bot.sendMessage(ADMIN_ID, `🚨 *${ALERT_TYPES[type]}*\n\n${escapeMarkdown(text)}`, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboards.alert(type)
+    });
+  } catch (error) {
+    console.error('❌ Could not send alert:', error.message);
+  }
+}
+
+// Checked after every download failure, so one flaky link doesn't alert
+function checkSourceFailures(sourceName) {
+  const recent = taskEvents.filter(event =>
+    event.stage === 'download' && event.outcome === 'error' && event.source === sourceName &&
+    Date.now() - event.at < SOURCE_ALERT_WINDOW
+  );
+  if (recent.length < SOURCE_ALERT_THRESHOLD) return;
+  
+  const reasons = [...new Set(recent.map(event => event.error))].slice(0, 3).map(reason => `• ${reason.substring(0, 80)}`);
+  sendAdminAlert('source', sourceName,
+    `📦 ${sourceName.toUpperCase()} failed ${recent.length} downloads in the last ${formatDuration(SOURCE_ALERT_WINDOW)}\n\n${reasons.join('\n')}`
+  );
+}
+
+async function checkDiskSpace() {
+  const freeBytes = await getFreeDiskSpace(CACHE_DIR);
+  if (freeBytes !== null && freeBytes < LOW_DISK_ALERT) {
+    await sendAdminAlert('disk', 'cache', `💾 Only ${formatBytes(freeBytes)} free for downloads (alert below ${formatBytes(LOW_DISK_ALERT)})`);
+  }
+}
+
+function isQuotaError(error) {
+  const reason = error.response?.data?.error?.errors?.[0]?.reason || '';
+  const message = error.response?.data?.error?.message || error.message;
+  return /quotaExceeded|uploadLimitExceeded|dailyLimitExceeded/.test(reason) || /quota|exceeded the number of videos/i.test(message);
+}
+
+// Upload events carry the units of the upload and its thumbnail, caption and
+// playlist calls; older events without them count as a plain upload.
+// Quota is shared by all channels.
+function estimateQuotaUsage(events) {
+  return events
+    .filter(event => event.stage === 'upload' && event.outcome === 'ok')
+    .reduce((sum, event) => sum + (event.quota ?? QUOTA_COST_PER_UPLOAD), 0);
+}
+
+// YouTube resets the daily quota at midnight Pacific time
+function getQuotaDayStart(now = Date.now()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Los_Angeles', hourCycle: 'h23', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(now);
+  const [hours, minutes, seconds] = ['hour', 'minute', 'second'].map(type => parseInt(parts.find(part => part.type === type).value));
+  return now - ((hours * 60 + minutes) * 60 + seconds) * 1000 - now % 1000;
+}
+
+async function getCacheDirSize() {
+  let bytes = 0;
+  const files = await fs.readdir(CACHE_DIR).catch(() => []);
+  for (const file of files) {
+    const stats = await fs.stat(path.join(CACHE_DIR, file)).catch(() => null);
+    if (stats?.isFile()) bytes += stats.size;
+  }
+  return bytes + (await getApiCacheSummary()).bytes;
+}
+
+async function buildDigest() {
+  const since = Date.now() - 24 * 60 * 60 * 1000;
+  const events = taskEvents.filter(event => event.at >= since);
+  const summary = summarizeEvents(events);
+  const quotaSince = getQuotaDayStart();
+  const quotaUsed = estimateQuotaUsage(taskEvents.filter(event => event.at >= quotaSince));
+  const freeBytes = await getFreeDiskSpace(CACHE_DIR);
+  const failures = events.filter(event => event.outcome === 'error' && event.final);
+  const countStatus = (status) => videoQueue.filter(item => item.status === status).length;
+  
+  let text = `📰 *Daily Digest*\n\n`;
+  text += `*Last 24 hours:*\n✅ Uploaded: ${summary.posted}\n❌ Failed: ${summary.failed}\n💾 Posted: ${formatBytes(summary.bytes)}\n`;
+  if (failures.length > 0) {
+    text += failures.slice(0, 5).map(event => escapeMarkdown(`• ${event.title.substring(0, 30)} (${event.stage}): ${String(event.error).substring(0, 60)}`)).join('\n') + '\n';
+  }
+  
+  text += `\n📋 Queue: ${videoQueue.length} (📥 ${countStatus('downloading')} · 📤 ${countStatus('uploading')} · 📦 ${countStatus('ready')} · ⏳ ${countStatus('pending')})\n`;
+  text += `🪦 Failed list: ${deadLetters.length}\n`;
+  text += `💿 Disk: ${freeBytes === null ? 'unknown' : formatBytes(freeBytes)} free · cache ${formatBytes(await getCacheDirSize())}\n`;
+  text += `📉 Quota since midnight PT: ~${quotaUsed.toLocaleString()} / ${YOUTUBE_DAILY_QUOTA.toLocaleString()} units ` +
+    `(room for ~${Math.max(0, Math.floor((YOUTUBE_DAILY_QUOTA - quotaUsed) / QUOTA_COST_PER_UPLOAD))} more uploads)\n`;
+  
+  const { alerts } = botSettings;
+  if (alerts.muted.length > 0) text += `\n🔇 Muted: ${alerts.muted.join(', ')}`;
+  if (alerts.snoozedUntil && Date.now() < alerts.snoozedUntil) text += `\n🔕 Alerts snoozed until ${new Date(alerts.snoozedUntil).toLocaleTimeString()}`;
+  return text;
+}
+
+async function sendDigest(chatId = ADMIN_ID) {
+  if (!chatId) return;
+  try {
+    await bot.sendMessage(chatId, await buildDigest(), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('❌ Could not send digest:', error.message);
   }
 }
 
+// Next occurrence of "HH:MM" in server time
+function getNextDailyTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours, minutes, 0, 0);
+  if (date.getTime() <= Date.now()) date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+function scheduleDigest() {
+  clearTimeout(digestTimer);
+  digestTimer = null;
+  if (!botSettings.alerts.digest) return;
+  
+  digestTimer = setTimeout(async () => {
+    await sendDigest();
+    scheduleDigest();
+  }, getNextDailyTime(botSettings.alerts.digest) - Date.now());
+}
+
 // ============================================
 // STARTUP & INITIALIZATION
 // ============================================
@@ -1221,20 +5632,72 @@ async function initializeBot() {
   console.log('🚀 Initializing bot...');
   
   await ensureDataDirectory();
-  await loadProcessedMovies();
+  await loadUploadHistory();
   await loadAnalytics();
+  await loadTaskEvents();
+  const restoredItems = await loadQueue();
+  await loadDeadLetters();
+  await loadTemplates();
+  await loadSettings();
+  await loadChannels();
+  await loadWatchlist();
+  await loadPlaylists();
+  await loadCallbackContexts();
+  await cleanupStaleCache();
+  startWatchPoller();
+  scheduleDigest();
   
-  try {
-    youtubeAuth = await getYouTubeAuth();
-    console.log('✅ YouTube authentication ready!');
-  } catch (error) {
-    console.error('❌ YouTube authentication failed:', error.message);
-    console.log('⚠️ Bot will start but YouTube uploads will fail until authenticated');
+  for (const channelName of Object.keys(channelConfig.channels)) {
+    try {
+      youtubeAuths.set(channelName, await getYouTubeAuth(channelName, false));
+      console.log(`✅ YouTube authentication ready for "${channelName}"!`);
+    } catch (error) {
+      console.error(`❌ YouTube authentication failed for "${channelName}":`, error.message);
+      console.log(`⚠️ Uploads to "${channelName}" will fail until /reauth ${channelName}`);
+    }
+  }
+  
+  // Ask for the default channel in Telegram without holding up startup
+  if (!youtubeAuths.has(channelConfig.defaultChannel)) {
+    getYouTubeAuth(channelConfig.defaultChannel)
+      .then(auth => {
+        youtubeAuths.set(channelConfig.defaultChannel, auth);
+        if (ADMIN_ID) bot.sendMessage(ADMIN_ID, '✅ YouTube authentication successful!');
+      })
+      .catch(error => console.error('❌ YouTube authentication failed:', error.message));
   }
   
   console.log('✅ Bot ready! ULTIMATE MODE with chunked uploads & 429 prevention 🚀');
-  console.log(`📊 ${processedMovies.size} movies, ${analytics.totalMovies} processed`);
+  console.log(`📊 ${getPostedCount()} movies, ${analytics.totalMovies} processed`);
   console.log(`👤 Admin: @${ADMIN_USERNAME}`);
+  
+  if (restoredItems.length > 0) {
+    await notifyRestoredQueue(restoredItems);
+    processQueue();
+  }
+}
+
+async function notifyRestoredQueue(restoredItems) {
+  // Queue items remember the admin chat they were added from
+  const byChat = new Map();
+  restoredItems.forEach(entry => {
+    if (!byChat.has(entry.item.chatId)) byChat.set(entry.item.chatId, []);
+    byChat.get(entry.item.chatId).push(entry);
+  });
+  
+  for (const [chatId, entries] of byChat) {
+    let text = `♻️ *Queue Restored*\n\n${entries.length} item(s) recovered after restart:\n\n`;
+    entries.forEach(({ item, wasProcessing }, i) => {
+      text += `${wasProcessing ? '🔁' : '⏸️'} ${i + 1}. ${item.movieData.title.substring(0, 30)}...`;
+      text += ` (${item.source.toUpperCase()})${wasProcessing ? ' - interrupted, back to pending' : ''}\n`;
+    });
+    
+    try {
+      await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: keyboards.main() });
+    } catch (error) {
+      console.error('❌ Error sending restore notice:', error.message);
+    }
+  }
 }
 
 initializeBot().catch(error => {
@@ -1256,13 +5719,11 @@ process.on('unhandledRejection', (error) => console.error('Rejection:', error));
 async function gracefulShutdown() {
   console.log('\n🛑 Shutting down...');
   
-  if (currentProcessing) {
-    currentProcessing.cancelled = true;
-  }
-  
+  // Leave running items as "downloading"/"uploading" so they are put back in line on restart
   console.log('💾 Saving data...');
-  await saveProcessedMovies();
+  await saveUploadHistory();
   await saveAnalytics();
+  await saveQueue();
   
   console.log('✅ Data saved');
   console.log('👋 Goodbye!');